@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Rewrite the pattern message boxes in Pd patches in canonical form
+ * Usage: node format-patterns.js [--check] patch.pd [more.pd ...]
+ *
+ * Message boxes that parse cleanly as patterns, optionally after a "list" or
+ * "pattern" selector, are rewritten in place; everything else is left alone.
+ * With --check nothing is written and the exit code is 1 if a patch would change.
+ */
+
+const fs = require('fs');
+const { formatPattern } = require('./parser2_final.js');
+
+// A whole message box record, which Pd may wrap over several lines
+const MSG_RECORD = /^#X msg [\s\S]*?(?<!\\);(?=\r?\n|$)/gm;
+
+// Position prefix, content and optional ", f width" suffix of a message box
+const MSG_PARTS = /^(#X msg -?\d+ -?\d+ )([\s\S]*?)(, f \d+)?;$/;
+
+// Selectors kept in front of the pattern: mixtape takes lists, mseq2 "pattern ..."
+const SELECTORS = ['list', 'pattern'];
+
+// A float as Pd writes it, including exponents such as 1e-05
+const PD_FLOAT = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+/**
+ * Format the content of one message box
+ * @param {string} content - Message content as saved by Pd
+ * @returns {string|null} - The formatted content, or null if it is not a pattern
+ */
+function formatMessage(content) {
+  // Escaped "$", "," and ";" belong to Pd, not to the pattern language
+  if (content.includes('\\')) return null;
+
+  const words = content.trim().split(/\s+/);
+  // Plain float messages are Pd's, whatever the pattern language makes of them
+  if (words.every(word => PD_FLOAT.test(word))) return null;
+  const selector = SELECTORS.includes(words[0]) ? `${words.shift()} ` : '';
+  if (!words.length || !words[0]) return null;
+
+  const diagnostics = [];
+  const formatted = formatPattern(words.join(' '), diagnostics);
+  return diagnostics.length ? null : selector + formatted;
+}
+
+/**
+ * Format every pattern message box in the text of a Pd patch
+ * @param {string} text - Contents of a .pd file
+ * @returns {Object} - { text, changes } with the new contents and the number of rewritten boxes
+ */
+function formatPatch(text) {
+  let changes = 0;
+
+  const formatted = text.replace(MSG_RECORD, record => {
+    const parts = record.match(MSG_PARTS);
+    if (!parts) return record;
+
+    const content = parts[2].replace(/\s+/g, ' ').trim();
+    const message = formatMessage(content);
+    if (message === null || message === content) return record;
+
+    changes++;
+    return `${parts[1]}${message}${parts[3] || ''};`;
+  });
+
+  return { text: formatted, changes };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const files = args.filter(arg => arg !== '--check');
+
+  if (!files.length) {
+    console.error('Usage: node format-patterns.js [--check] patch.pd [more.pd ...]');
+    process.exit(2);
+  }
+
+  let changed = 0;
+  for (const file of files) {
+    const result = formatPatch(fs.readFileSync(file, 'utf8'));
+    if (!result.changes) continue;
+
+    changed++;
+    console.log(`${file}: ${result.changes} message${result.changes > 1 ? 's' : ''} ${check ? 'to format' : 'formatted'}`);
+    if (!check) fs.writeFileSync(file, result.text);
+  }
+
+  if (check && changed) process.exit(1);
+}
+
+module.exports = { formatPatch };
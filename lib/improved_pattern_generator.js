@@ -6,8 +6,21 @@
 const parser = require('./parser2_final.js');
 
 class ImprovedPatternGenerator {
-    constructor() {
+    /**
+     * @param {Object} options - { seed, random }; a seed makes every generated pattern reproducible
+     */
+    constructor(options = {}) {
         this.patternCache = new Map();
+        this.setSeed(options.seed);
+        if (options.random) this.random = options.random;
+    }
+
+    /**
+     * Reseed the generator, or go back to Math.random without a seed
+     * @param {number} [seed] - The seed
+     */
+    setSeed(seed) {
+        this.random = seed === undefined || seed === null ? Math.random : parser.createRandom(seed);
     }
 
     /**
@@ -16,7 +29,7 @@ class ImprovedPatternGenerator {
      * @returns {number} - A random integer
      */
     getRandomInt(max) {
-        return Math.floor(Math.random() * max);
+        return Math.floor(this.random() * max);
     }
 
     /**
@@ -34,7 +47,7 @@ class ImprovedPatternGenerator {
             groupProbability: 0.2
         };
         
-        const config = {...defaults, ...options};
+        const config = {...defaults, random: this.random, ...options};
         const pattern = parser.createRandomPattern(config);
         return pattern.join(' ');
     }
@@ -55,7 +68,7 @@ class ImprovedPatternGenerator {
         const patternSections = [];
         
         for (let i = 0; i < config.sections; i++) {
-            const sectionType = Math.random();
+            const sectionType = this.random();
             
             if (sectionType < 0.3) {
                 // Simple section - just values or rests
@@ -77,17 +90,18 @@ class ImprovedPatternGenerator {
      * @returns {string} - A pattern section
      */
     generateSimplePatternSection() {
-        const length = Math.floor(Math.random() * 4) + 2; // 2-5 elements
+        const length = Math.floor(this.random() * 4) + 2; // 2-5 elements
         const section = parser.createRandomPattern({
             length,
             restProbability: 0.3,
             groupProbability: 0,
-            repetitionProbability: 0.4
+            repetitionProbability: 0.4,
+            random: this.random
         });
         
         // Maybe repeat the entire section
-        if (Math.random() > 0.7) {
-            const repeat = Math.floor(Math.random() * 3) + 2; // 2-4 repetitions
+        if (this.random() > 0.7) {
+            const repeat = Math.floor(this.random() * 3) + 2; // 2-4 repetitions
             return `[${section.join(' ')}]*${repeat}`;
         }
         
@@ -99,15 +113,16 @@ class ImprovedPatternGenerator {
      * @returns {string} - A grouped pattern section
      */
     generateGroupedSection() {
-        const length = Math.floor(Math.random() * 3) + 2; // 2-4 elements
+        const length = Math.floor(this.random() * 3) + 2; // 2-4 elements
         const section = parser.createRandomPattern({
             length,
             restProbability: 0.2,
             groupProbability: 0,
-            repetitionProbability: 0.2
+            repetitionProbability: 0.2,
+            random: this.random
         });
         
-        const repeat = Math.floor(Math.random() * 3) + 2; // 2-4 repetitions
+        const repeat = Math.floor(this.random() * 3) + 2; // 2-4 repetitions
         return `[${section.join(' ')}]*${repeat}`;
     }
 
@@ -122,13 +137,14 @@ class ImprovedPatternGenerator {
         ];
         
         const transform = transformations[this.getRandomInt(transformations.length)];
-        const length = Math.floor(Math.random() * 4) + 3; // 3-6 elements
+        const length = Math.floor(this.random() * 4) + 3; // 3-6 elements
         
         const pattern = parser.createRandomPattern({
             length,
             restProbability: 0.2,
             groupProbability: 0,
-            repetitionProbability: 0.2
+            repetitionProbability: 0.2,
+            random: this.random
         });
         
         return `${transform}[${pattern.join(' ')}]`;
@@ -230,7 +246,8 @@ class ImprovedPatternGenerator {
     generateGenericPattern() {
         const base = parser.createRandomPattern({
             length: 8,
-            restProbability: 0.3
+            restProbability: 0.3,
+            random: this.random
         });
         
         return base.join(' ');
@@ -1,13 +1,117 @@
 
-var parser = require('parser2_improved.js')
+var parser = require('parser2_final.js')
 
 inlets = 1;
-outlets = 1;
+outlets = 2;
 
 name = "mixtape";
 
+// "$name = ..." definitions are kept for later messages to this object
+var variables = {}
+
+// Source of randomness for scramble, sparse and friends; "seed N" makes it repeatable
+var random = Math.random
+
+// Limits for patterns typed in during a show, so a huge expansion cannot
+// freeze Pd; change them with "budget <steps> <milliseconds>"
+var maxSteps = 100000
+var timeLimit = 50
+
+// mixtape.pd sends every message in as a list after "0 -" and splits the
+// first two steps off again below the js object
+var PREFIX = [0, '-']
+
 function list () {
-  var pattern = Array.from(arguments).join(' ')
-  var output = parser.parser(pattern)
-  outlet(0, output)
+  var words = Array.from(arguments)
+  // The pattern is parsed without the prefix, so diagnostics point at the
+  // user's text; commands like "seed 4" arrive here too
+  if (words[0] === PREFIX[0] && words[1] === PREFIX[1]) words = words.slice(PREFIX.length)
+  var command = commands.hasOwnProperty(words[0]) ? commands[words[0]] : null
+  if (command) return command.apply(null, words.slice(1))
+  send(words.join(' '))
+}
+
+// Parse a pattern and send its steps out of the left outlet
+function send (pattern) {
+  // Random steps ("1|5|7", "5?30"), events ("60:110:0.5") and chords
+  // ("[60,64,67]") are passed on as symbols for mseq2 to resolve
+  var result = parser.parsePattern(pattern, {
+    diagnostics: true, deferRandom: true, variables: variables, random: random, maxSteps: maxSteps, timeLimit: timeLimit
+  })
+  // The pattern is expanded once here, so an alternation never moves past
+  // its first choice; mseq2's "pattern" message evaluates it every cycle
+  var alternation = parser.tokenize(pattern).find(function (token) { return token.type === 'langle' })
+  if (alternation) {
+    result.diagnostics.push({
+      severity: 'warning', start: alternation.start, end: alternation.end,
+      message: 'Alternations always play their first choice from mixtape', fix: 'send "pattern ..." to mseq2 to alternate every cycle'
+    })
+  }
+  // Diagnostics go out of the right outlet: severity start end message [fix]
+  result.diagnostics.forEach(function (d) {
+    outlet(1, d.fix ? [d.severity, d.start, d.end, d.message, d.fix] : [d.severity, d.start, d.end, d.message])
+  })
+  // A rejected pattern (over budget, or nothing but errors) sends nothing,
+  // so the sequencer keeps playing the last valid one
+  var rejected = result.events.length === 0 && result.diagnostics.some(function (d) { return d.severity === 'error' })
+  if (rejected) return
+  // Bar numbers go out first as "bars ...", for mseq2 to report the downbeats
+  // of the steps that follow
+  if (result.events.bars) outlet(0, PREFIX.concat('bars', result.events.bars))
+  outlet(0, PREFIX.concat(result.events.map(function (step) {
+    return typeof step === 'object' ? parser.stepToString(step) : step
+  })))
+}
+
+// "seed N" replays the same random choices from here on, "seed" alone goes back to Math.random
+function seed (n) {
+  random = arguments.length ? parser.createRandom(n) : Math.random
+}
+
+// "load stutter.js" adds the transformations exported by a module next to the patch;
+// each export is a function or { params, length, transform }, see stutter.js
+function load (file) {
+  try {
+    var module = require(file)
+    Object.keys(module).forEach(function (name) {
+      var entry = module[name]
+      parser.registerTransform(name, entry.transform || entry, { params: entry.params, length: entry.transform && entry.length })
+    })
+  } catch (e) {
+    post('mixtape: could not load ' + file + ': ' + e.message)
+  }
 }
+
+// "read song.mix" plays a pattern kept in a text file next to the patch, which
+// can span several lines and have "//" or "#" comments. mixtape.pd reads the
+// file into a [text] and sends it here as "readline ..." for each line, then
+// "readend"; the lines are parsed together so comments end with their line
+var readLines = []
+
+function readline () {
+  readLines.push(Array.from(arguments).join(' '))
+}
+
+function readend () {
+  var text = readLines.join('\n')
+  readLines = []
+  send(text)
+}
+
+// "budget 100000 50": most steps a pattern may expand to, and milliseconds it may take
+function budget (steps, ms) {
+  maxSteps = steps
+  if (arguments.length > 1) timeLimit = ms
+}
+
+// "addscale hirajoshi 0 2 3 7 8" adds a scale for inkey(...) and degrees(...)
+function addscale (name) {
+  try {
+    parser.registerScale(name, Array.from(arguments).slice(1))
+  } catch (e) {
+    post('mixtape: ' + e.message)
+  }
+}
+
+// Messages handled by a function rather than parsed as a pattern
+var commands = { seed: seed, load: load, readline: readline, readend: readend, budget: budget, addscale: addscale }
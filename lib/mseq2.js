@@ -1,21 +1,246 @@
+var parser = require('parser2_final.js')
 
 inlets = 2;
-outlets = 1;
+outlets = 3;
 
 var tape = [];
 var counter = 0;
+// Unexpanded pattern set with the "pattern" message, re-evaluated every cycle
+var source = null;
+var cycle = 0;
+// Pitch of a tied note that is still sounding
+var held = null;
+// Set by the "stream" message: the steps of the current cycle are read one
+// at a time from an iterator, and the next cycle starts when it runs out
+var streaming = null;
+var reported = 0;
+var upcoming;
+// Set by the "subdivide" message: groups share one step, and the tape holds
+// the timed events of each step. Sub-steps that start after the bang are kept
+// here by number, which goes out of the middle outlet as "number delay" for a
+// [pipe] to send back as "substep number" once their share of steptime ms is up.
+var subdivided = false;
+var stepLength = 125;
+var pendingSteps = {};
+var nextSubstep = 0;
+// Bar number of each step of the tape, for patterns with bar lines or a
+// meter; the right outlet sends it out on every downbeat. mixtape sends
+// them as a "bars ..." list before the steps they belong to.
+var bars = null;
+var nextBars = null;
+// Source of randomness for re-rolled steps ("1|5|7", "5?30") and for the
+// patterns expanded here; "seed N" makes it repeatable
+var random = Math.random;
 
 function bang() {
-    var out = tape[counter++ % tape.length];
-    if (!isNaN(out)) outlet(0, out);
+    if (streaming) {
+        // After only empty cycles, try again from where the stream got to
+        if (upcoming === undefined) upcoming = pull();
+        if (upcoming === undefined) return;
+        var current = upcoming;
+        upcoming = pull();
+        return play(current, upcoming);
+    }
+    // At each cycle boundary the held pattern is evaluated again, so
+    // alternations like "<60 63 67>" move on to their next step
+    if (source && (tape.length === 0 || counter >= tape.length)) {
+        tape = expand(cycle++);
+        counter = 0;
+        if (tape.length === 0) return;
+    }
+    var index = counter++ % tape.length;
+    downbeat(index);
+    if (subdivided) return playSlot(tape[index], index);
+    play(tape[index], tape[counter % tape.length]);
+}
+
+// Report the bar number when a step starts a new bar
+function downbeat(index) {
+    if (bars && (index === 0 || bars[index] !== bars[index - 1])) outlet(2, bars[index]);
+}
+
+// Send out the timed events starting in one step: the first at once, the
+// rest once a [pipe] on the middle outlet sends their number back
+function playSlot(events, index) {
+    events.forEach(function (event) {
+        var delay = (event.onset - index) * stepLength;
+        if (delay < 0.001) return play(event.value);
+        pendingSteps[nextSubstep] = event.value;
+        outlet(1, [nextSubstep++, delay]);
+    });
+}
+
+// "substep N" plays a sub-step scheduled by playSlot
+function substep(n) {
+    if (!pendingSteps.hasOwnProperty(n)) return;
+    var step = pendingSteps[n];
+    delete pendingSteps[n];
+    play(step);
+}
+
+// Send a step out, holding it if the step after it is a tie
+function play(step, next) {
+    // Random steps are re-rolled every time they come round
+    var out = parser.resolveStep(step, random);
+    // "_" continues a tied note
+    if (out === '_') return;
+    noteOff();
+    // Events ("60:110:0.5") go out as a pitch velocity duration list,
+    // one per note for chord events ("[60,64]:110")
+    if (out && out.type === 'event') {
+        [].concat(out.pitch).forEach(function (pitch) {
+            outlet(0, [pitch, out.velocity, out.duration]);
+        });
+    }
+    // Chords ("[60,64,67]") go out as a list after "chord", so that
+    // "chord 60 64 67" is never mistaken for the event "60:64:67"
+    else if (Array.isArray(out)) outlet(0, ['chord'].concat(out));
+    else if (!isNaN(out)) outlet(0, out);
+    else return;
+    // A note followed by "_" is held until the tie ends
+    if (next === '_') held = out.type === 'event' ? out.pitch : out;
 }
 
 function list() {
     if (inlet === 1) {
-        tape = Array.from(arguments);
+        var steps = Array.from(arguments);
+        if (steps[0] === 'bars') {
+            nextBars = steps.slice(1);
+            return;
+        }
+        source = null;
+        streaming = null;
+        subdivided = false;
+        bars = nextBars && nextBars.length === steps.length ? nextBars : null;
+        nextBars = null;
+        tape = steps.map(parseStep);
     }
 }
 
+// "pattern <text>" holds the pattern itself rather than its expansion
+function pattern() {
+    var diagnostics = [];
+    try {
+        source = parser.parse(Array.from(arguments).join(' '), diagnostics);
+    } catch (e) {
+        // Such as a stack overflow on thousands of nested groups
+        source = null;
+        diagnostics.push({ message: 'Error parsing pattern: ' + e.message });
+    }
+    diagnostics.forEach(report);
+    streaming = null;
+    subdivided = false;
+    tape = [];
+    counter = 0;
+    cycle = 0;
+}
+
+// "stream <text>" is like "pattern" but never expands the whole cycle, for
+// very long patterns such as "[1 2 3 4]*100000"
+function stream() {
+    pattern.apply(null, arguments);
+    if (source) restart();
+}
+
+// "subdivide <text>" is like "pattern" but a group fills a single step,
+// so "60 [62 64]" plays 62 and 64 within the second bang. Ties lengthen
+// the timed events but send no note-off.
+function subdivide() {
+    pattern.apply(null, arguments);
+    subdivided = true;
+}
+
+// "seed N" replays the same random choices from here on, "seed" alone goes back to Math.random
+function seed(n) {
+    random = arguments.length ? parser.createRandom(n) : Math.random;
+}
+
+// Length of a step in ms, which sub-steps are delayed by a share of
+function steptime(ms) {
+    if (ms > 0) stepLength = ms;
+}
+
 function reset () {
+  noteOff()
   counter = 0
+  pendingSteps = {}
+  if (streaming) return restart()
+  if (source) {
+    cycle = 0
+    tape = []
+  }
+}
+
+// Start streaming from the first cycle
+function restart() {
+    cycle = 0;
+    streaming = { steps: [][Symbol.iterator]() };
+    upcoming = pull();
+}
+
+// Next step of the stream, moving on to the next cycle after the last step.
+// Cycles with no steps, like the first of "<[] 1>", are skipped, but only a
+// few at a time so that a pattern that is always empty cannot hang Pd.
+function pull() {
+    var next = streaming.steps.next();
+    for (var tries = 0; next.done && tries < 16; tries++) {
+        streaming = parser.streamPattern(source, { cycle: cycle++, deferRandom: true, diagnostics: true, random: random });
+        reported = 0;
+        next = streaming.steps.next();
+    }
+    // Problems turn up while the steps are read; like expand(), only
+    // report those of the first cycle
+    if (cycle === 1) {
+        while (reported < streaming.diagnostics.length) report(streaming.diagnostics[reported++]);
+    }
+    return next.value;
+}
+
+function expand(n) {
+    var result = parser.parsePattern(source, { cycle: n, deferRandom: true, diagnostics: true, subdivide: subdivided, random: random });
+    // Evaluation problems repeat every cycle, so only report them once
+    if (n === 0) result.diagnostics.forEach(report);
+    if (!subdivided) {
+        bars = result.events.bars || null;
+        return result.events;
+    }
+    return slots(result.events);
+}
+
+// Group timed events by the step they start in; a note tied over the end
+// of the pattern leaves empty steps after it, which stay in its bar
+function slots(events) {
+    var result = [];
+    bars = events.bars ? [] : null;
+    events.forEach(function (event, i) {
+        var end = Math.ceil(event.onset + event.duration - 0.001);
+        var step = Math.floor(event.onset + 0.001);
+        while (result.length < end) {
+            if (bars) bars.push(bars.length ? bars[bars.length - 1] : 0);
+            result.push([]);
+        }
+        if (bars && result[step].length === 0) bars[step] = events.bars[i];
+        result[step].push(event);
+    });
+    return result;
+}
+
+// Release a tied note (or each note of a tied chord) with a "pitch 0 0" list
+function noteOff() {
+    if (held === null) return;
+    [].concat(held).forEach(function (pitch) {
+        outlet(0, [pitch, 0, 0]);
+    });
+    held = null;
+}
+
+function report(d) {
+    post("mseq2: " + d.message + (d.fix ? " (" + d.fix + ")" : ""));
+}
+
+// Symbols such as "1|5|7", "5?30" or "60:110:0.5" become step objects
+function parseStep(step) {
+    if (typeof step !== 'string' || step === '-' || step === '_') return step;
+    var steps = parser.parsePattern(step, { deferRandom: true, random: random });
+    return steps.length === 1 ? steps[0] : step;
 }
@@ -1,7 +1,7 @@
 /**
  * Advanced Pattern Parser for PD.js (Mixtape)
  * Provides robust pattern parsing with extended syntax and transformations
- * FINAL VERSION with proper handling of complex nested patterns
+ * FINAL VERSION: tokenizer -> AST -> evaluator pipeline with source positions
  */
 
 // Export for both node.js and Max/MSP/PD environments
@@ -9,12 +9,29 @@ if (typeof exports !== 'undefined') {
   exports.parser = parsePattern;
   if (typeof module === 'object') {
     module.exports = {
+      parser: parsePattern,
       parsePattern,
       parsePatternString,
+      streamPattern,
+      tokenize,
+      parse,
+      evaluate,
+      generate,
+      countSteps,
+      astToString,
+      formatPattern,
       transformPattern,
+      registerTransform,
+      registerScale,
       patternToString,
+      compressPattern,
       createRandomPattern,
-      normalizePattern
+      normalizePattern,
+      createRandom,
+      resolveStep,
+      stepToString,
+      noteNameToMidi,
+      midiToNoteName
     };
   }
 }
@@ -22,409 +39,2268 @@ if (typeof exports !== 'undefined') {
 // Console output compatibility for different environments
 if (typeof post !== 'function') function post(m) { console.log(m); }
 
+// Parameters of each transformation understood by applyTransform, in positional
+// order. A glued parameter ("offset12") fills the first one; "sparse(30, seed=4)"
+// can give them by position or by name.
+const TRANSFORM_PARAMS = {
+  scramble: [{ name: 'seed', integer: true }],
+  invert: [{ name: 'pivot', required: true }],
+  scale: [{ name: 'factor', required: true }],
+  offset: [{ name: 'amount', required: true }],
+  mirror: [],
+  repeat: [{ name: 'times', required: true, integer: true, min: 0 }],
+  quantize: [{ name: 'step', required: true, nonZero: true }],
+  reverse: [],
+  rotate: [{ name: 'steps', default: 1, integer: true }],
+  sparse: [{ name: 'probability', default: 50, min: 0, max: 100 }, { name: 'seed', integer: true }],
+  interleave: [],
+  range: [{ name: 'min', required: true }, { name: 'max', required: true }],
+  inkey: [{ name: 'root', type: 'pitch', required: true }, { name: 'scale', type: 'name', default: 'major' }],
+  degrees: [{ name: 'scale', type: 'name', required: true }, { name: 'root', default: 60 }]
+};
+
+// Scales for inkey and degrees, as semitones above the root; registerScale adds more
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  ionian: [0, 2, 4, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  aeolian: [0, 2, 3, 5, 7, 8, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonic_minor: [0, 2, 3, 5, 7, 8, 11],
+  melodic_minor: [0, 2, 3, 5, 7, 9, 11],
+  pentatonic: [0, 2, 4, 7, 9],
+  minor_pentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  whole_tone: [0, 2, 4, 6, 8, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+// Generators sample a shape into a number of steps, e.g. "sine(0,127,16)";
+// their arguments are checked like those of transformations
+const GENERATOR_PARAMS = {
+  sine: [{ name: 'min', required: true }, { name: 'max', required: true }, { name: 'steps', required: true, integer: true, min: 1 }],
+  saw: [{ name: 'min', required: true }, { name: 'max', required: true }, { name: 'steps', required: true, integer: true, min: 1 }],
+  drunk: [{ name: 'start', required: true }, { name: 'size', required: true, min: 0 }, { name: 'steps', required: true, integer: true, min: 1 }, { name: 'seed', integer: true }],
+  noise: [{ name: 'min', required: true }, { name: 'max', required: true }, { name: 'steps', required: true, integer: true, min: 1 }, { name: 'seed', integer: true }]
+};
+
+// Transformation names, used for "did you mean" suggestions
+const KNOWN_TRANSFORMS = Object.keys(TRANSFORM_PARAMS);
+
+// Transformations added with registerTransform(), by name
+const CUSTOM_TRANSFORMS = {};
+
+// Length hooks of registered transformations, (length, params) => length
+const CUSTOM_LENGTHS = {};
+
 /**
  * Main pattern parsing function
- * @param {string} pattern - The pattern string to parse
+ * @param {string|Object} pattern - The pattern string to parse, or a Pattern node from parse()
  * @param {Object} options - Optional settings for parser behavior
- * @returns {Array} - The parsed pattern as an array of notes/rests
+ * @returns {Array|Object} - The parsed pattern as an array of notes/rests, or
+ *   { events, diagnostics } when options.diagnostics is true. With
+ *   options.subdivide the array holds timed events instead (see timeSteps).
+ *   A pattern with bar lines or a meter gives the array a `bars` property
+ *   holding the bar number (from 0) of each step or event.
  */
 function parsePattern(pattern, options = {}) {
+  const config = createConfig(options);
+  
+  // Collect problems instead of logging them when diagnostics are requested
+  const diagnostics = config.diagnostics ? [] : undefined;
+  
   // Handle empty or invalid patterns
-  if (!pattern || typeof pattern !== 'string') {
-    console.error("Invalid pattern input");
-    return [];
+  const isAst = Boolean(pattern) && pattern.type === 'Pattern';
+  if (!pattern || (typeof pattern !== 'string' && !isAst)) {
+    report(diagnostics, 'error', "Invalid pattern input", null, 'send a non-empty pattern string');
+    return diagnostics ? { events: [], diagnostics } : [];
+  }
+  
+  // Debug logging
+  if (config.debug) {
+    console.log(`Parsing pattern: ${isAst ? astToString(pattern) : pattern}`);
+  }
+  
+  const events = parsePatternString(pattern, config, diagnostics);
+  return diagnostics ? { events, diagnostics } : events;
+}
+
+/**
+ * Evaluate a pattern lazily, one step at a time, for patterns too long to
+ * expand up front such as "1*1000000". Takes the same options as parsePattern.
+ * Transformations still expand the group they apply to.
+ * @param {string|Object} pattern - The pattern string, or a Pattern node from parse()
+ * @param {Object} options - Optional settings for parser behavior
+ * @returns {Object} - { length, steps } where steps is an iterator over the
+ *   length steps; length is null when a registered transformation without a
+ *   length hook makes it unknown, and the most there can be when the hook
+ *   depends on chance. With options.diagnostics also a diagnostics
+ *   array, which keeps filling up while the steps are read
+ */
+function streamPattern(pattern, options = {}) {
+  const config = createConfig(options);
+  const diagnostics = config.diagnostics ? [] : undefined;
+  const result = steps => diagnostics ? { ...steps, diagnostics } : steps;
+  
+  const isAst = Boolean(pattern) && pattern.type === 'Pattern';
+  if (!pattern || (typeof pattern !== 'string' && !isAst)) {
+    report(diagnostics, 'error', "Invalid pattern input", null, 'send a non-empty pattern string');
+    return result({ length: 0, steps: [][Symbol.iterator]() });
+  }
+  
+  try {
+    const ast = isAst ? pattern : parse(pattern, diagnostics);
+    return result({ length: countSteps(ast, config), steps: streamSteps(ast, config, diagnostics) });
+  } catch (e) {
+    report(diagnostics, 'error', `Error parsing pattern: ${e.message}`, null, null);
+    return result({ length: 0, steps: [][Symbol.iterator]() });
   }
+}
 
+/**
+ * Build the parser configuration from user options
+ * @param {Object} options - Optional settings for parser behavior
+ * @returns {Object} - Parser configuration
+ */
+function createConfig(options) {
   // Default options
   const defaults = {
     debug: false,
+    diagnostics: false,
     maxRecursionDepth: 10,
     preserveEmptyNotes: false,
     defaultRestValue: '-',
-    normalizePitches: false
+    normalizePitches: false,
+    middleCOctave: 4,
+    deferRandom: false,
+    cycle: 0,
+    defaultVelocity: 100,
+    defaultDuration: 1,
+    variables: null,
+    bank: null,
+    seed: null,
+    random: null,
+    maxSteps: null,
+    timeLimit: null,
+    subdivide: false
+  };
+  
+  // Merge options
+  const config = {...defaults, ...options};
+  
+  // All randomness (scramble, sparse, "1|5|7", "5?30") comes from one source,
+  // so a seeded parse can be reproduced exactly
+  config.random = config.random || (config.seed !== null ? createRandom(config.seed) : Math.random);
+  
+  // "$name = ..." definitions live here; pass the same object to later calls
+  // to keep them for a whole session
+  config.variables = config.variables || {};
+  
+  // Initialize recursion depth counter to prevent stack overflow
+  config.currentDepth = 0;
+  
+  return config;
+}
+
+/**
+ * Parse a pattern string into an array of values
+ * @param {string|Object} pattern - The pattern string to parse, or a Pattern node from parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Array} - The parsed pattern
+ */
+function parsePatternString(pattern, config, diagnostics) {
+  let outputPattern = [];
+  let bars = null;
+  
+  try {
+    const ast = typeof pattern === 'string' ? parse(pattern, diagnostics) : pattern;
+    
+    // Budgets for live input: refuse patterns that would expand too far
+    // before expanding anything, and give up on ones that take too long
+    if (config.timeLimit !== null) config.deadline = Date.now() + config.timeLimit;
+    if (config.maxSteps !== null && !withinStepBudget(ast, config, diagnostics)) return [];
+    
+    let steps;
+    if (ast.body.some(node => node.type === 'Bar' || node.type === 'Meter')) {
+      ({ steps, bars } = evaluateBars(ast, config, diagnostics));
+    } else {
+      steps = evaluate(ast, config, diagnostics);
+    }
+    checkStepLimit(steps.length, config, null);
+    
+    if (config.subdivide) {
+      outputPattern = timeSteps(steps, config);
+      // Events take the bar of the top-level step they start in
+      if (bars) bars = outputPattern.map(event => bars[Math.floor(event.onset + 1e-9)]);
+    } else {
+      outputPattern = applyTies(steps, config);
+      
+      // Random steps stay unresolved for players that re-roll them on every cycle
+      if (!config.deferRandom) {
+        outputPattern = outputPattern.map(step => resolveStep(step, config.random, config.defaultRestValue));
+      }
+    }
+  } catch (e) {
+    if (e.timeLimit) {
+      report(diagnostics, 'error', e.message, null, 'simplify the pattern or raise timeLimit');
+    } else if (e.stepLimit) {
+      report(diagnostics, 'error', e.message, e.range, 'use fewer or smaller repeats, or raise maxSteps');
+    } else {
+      report(diagnostics, 'error', `Error parsing pattern: ${e.message}`, null, null);
+    }
+  }
+  
+  // Apply normalization if requested
+  if (config.normalizePitches) {
+    outputPattern = config.subdivide
+      ? outputPattern.map(event => ({ ...event, value: normalizePattern([event.value])[0] }))
+      : normalizePattern(outputPattern);
+  }
+  
+  if (bars && bars.length === outputPattern.length) outputPattern.bars = bars;
+  return outputPattern;
+}
+
+/**
+ * Evaluate a pattern that has bar lines or a meter, numbering the bar of
+ * each top-level step. A bar whose length differs from the meter, or from
+ * the first bar when there is no meter, gets a warning. Without bar lines a
+ * meter starts a new bar every time the current one is full.
+ * @param {Object} ast - A Pattern node from parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Object} - { steps, bars } with the bar number of each step
+ */
+function evaluateBars(ast, config, diagnostics) {
+  const steps = [];
+  const bars = [];
+  const childConfig = deeper(ast, config, diagnostics);
+  if (!childConfig) return { steps, bars };
+  
+  const lines = ast.body.some(node => node.type === 'Bar');
+  let meter = null;
+  let expected = null;
+  let bar = 0;
+  let count = 0;
+  let range = null;
+  
+  const checkBar = () => {
+    const length = meter ? meter.steps : expected;
+    if (length === null) {
+      expected = count;
+    } else if (count !== length) {
+      report(diagnostics, 'warning', `Bar ${bar + 1} has ${count} step${count === 1 ? '' : 's'}, expected ${length}`, range,
+        meter ? `bars of ${astToString(meter)} have ${length} steps` : 'make every bar as long as the first');
+    }
+  };
+  
+  for (const node of ast.body) {
+    if (node.type === 'Meter') meter = node;
+    
+    if (node.type === 'Bar') {
+      // Doubled bar lines and ones at the very start make no empty bars
+      if (range) {
+        checkBar();
+        bar++;
+      }
+      count = 0;
+      range = null;
+      continue;
+    }
+    
+    for (const step of generate(node, childConfig, diagnostics)) {
+      if (!lines && meter && count === meter.steps) {
+        bar++;
+        count = 0;
+        range = null;
+      }
+      range = { start: range ? range.start : node.start, end: node.end };
+      steps.push(step);
+      bars.push(bar);
+      count++;
+    }
+  }
+  
+  if (range) checkBar();
+  return { steps, bars };
+}
+
+/**
+ * Place the steps of a pattern evaluated in subdivision mode in time. Every
+ * top-level step lasts 1 and a group shares its step equally between its
+ * children, so "1 [2 3]" gives 1 at 0, 2 at 1 and 3 at 1.5. Ties lengthen
+ * the event before them, or become rests when there is nothing to hold.
+ * @param {Array} steps - Steps from evaluate() with config.subdivide set
+ * @param {Object} config - Parser configuration
+ * @returns {Array} - Events { onset, duration, value } in order of onset
+ */
+function timeSteps(steps, config = {}) {
+  const restValue = config.defaultRestValue !== undefined ? config.defaultRestValue : '-';
+  const events = [];
+  let held = null;
+  
+  const place = (step, onset, duration) => {
+    if (step && step.type === 'subdivision') {
+      // An empty group still takes up its share of time
+      if (!step.steps.length) return place(restValue, onset, duration);
+      const count = step.steps.length;
+      step.steps.forEach((child, i) => place(child, onset + duration * i / count, duration / count));
+      return;
+    }
+    
+    if (step === TIE && held) {
+      held.duration = onset + duration - held.onset;
+      return;
+    }
+    
+    let value = step === TIE ? restValue : step;
+    if (!config.deferRandom) value = resolveStep(value, config.random, restValue);
+    
+    const event = { onset, duration, value };
+    held = value === restValue || value === '-' ? null : event;
+    events.push(event);
+  };
+  
+  steps.forEach((step, i) => place(step, i, 1));
+  return events;
+}
+
+/**
+ * The steps inside a group that evaluated to a single subdivision step, so
+ * transformations and euclid payloads work on the group's contents
+ * @param {Array} steps - Evaluated steps
+ * @returns {Array|null} - The steps of the group, or null if there is no such group
+ */
+function subdivisionSteps(steps) {
+  return steps.length === 1 && steps[0] && steps[0].type === 'subdivision' ? steps[0].steps : null;
+}
+
+/**
+ * Check a parsed pattern against config.maxSteps without expanding it
+ * @param {Object} ast - A Pattern node from parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {boolean} - Whether the pattern fits in the step budget
+ */
+function withinStepBudget(ast, config, diagnostics) {
+  // Count on a copy of the variables so definitions are only made once, and
+  // take the target's length for transformations that cannot say their own
+  const countConfig = { ...config, variables: { ...config.variables }, estimate: true };
+  const counts = ast.body.map(node => countSteps(node, countConfig));
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total <= config.maxSteps) return true;
+  
+  // Point at the part of the pattern that grows the most
+  const largest = ast.body[counts.reduce((best, count, i) => count > counts[best] ? i : best, 0)];
+  report(diagnostics, 'error', `Pattern expands to ${total} steps, more than the limit of ${config.maxSteps}`, largest,
+    'use fewer or smaller repeats, or raise maxSteps');
+  return false;
+}
+
+/**
+ * Stop evaluating once a registered transformation, whose length the step
+ * budget could only estimate, has made more steps than config.maxSteps
+ * @param {number} count - Number of steps made
+ * @param {Object} config - Parser configuration
+ * @param {Object} [range] - Source range of the steps, for the diagnostic
+ */
+function checkStepLimit(count, config, range) {
+  if (config.maxSteps !== null && config.maxSteps !== undefined && count > config.maxSteps) {
+    const error = new Error(`Pattern expands to ${count} steps, more than the limit of ${config.maxSteps}`);
+    error.stepLimit = true;
+    error.range = range;
+    throw error;
+  }
+}
+
+/**
+ * Stop evaluating once config.deadline (set from timeLimit) has passed
+ * @param {Object} config - Parser configuration
+ */
+function checkDeadline(config) {
+  if (config.deadline && Date.now() > config.deadline) {
+    const error = new Error(`Pattern took longer than the time limit of ${config.timeLimit} ms to expand`);
+    error.timeLimit = true;
+    throw error;
+  }
+}
+
+/**
+ * Lazily evaluate a parsed pattern into finished steps, like parsePatternString
+ * @param {Object} ast - A Pattern node from parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Iterator} - The steps of the pattern
+ */
+function* streamSteps(ast, config, diagnostics) {
+  try {
+    for (let step of tieSteps(generate(ast, config, diagnostics), config)) {
+      if (!config.deferRandom) step = resolveStep(step, config.random, config.defaultRestValue);
+      if (config.normalizePitches) step = normalizePattern([step])[0];
+      yield step;
+    }
+  } catch (e) {
+    report(diagnostics, 'error', `Error parsing pattern: ${e.message}`, null, null);
+  }
+}
+
+/**
+ * Record a problem found while parsing or evaluating a pattern.
+ * Without a diagnostics array the message is logged, as before.
+ * @param {Array} [diagnostics] - Array collecting diagnostics
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - Description of the problem
+ * @param {Object} [range] - Token or node with start/end offsets
+ * @param {string} [fix] - Suggested fix
+ * @returns {Object} - The diagnostic { severity, message, start, end, fix }
+ */
+function report(diagnostics, severity, message, range, fix) {
+  const diagnostic = {
+    severity,
+    message,
+    start: range ? range.start : 0,
+    end: range ? range.end : 0,
+    fix: fix || null
   };
   
-  // Merge options
-  const config = {...defaults, ...options};
+  if (diagnostics) {
+    diagnostics.push(diagnostic);
+  } else if (severity === 'error') {
+    console.error(message);
+  } else {
+    console.warn(message);
+  }
+  
+  return diagnostic;
+}
+
+/**
+ * Suggest the closest known name for a misspelt one
+ * @param {string} name - The unknown name
+ * @param {Array} [candidates] - Known names, transformations by default
+ * @returns {string|null} - The closest known name, or null if none is close
+ */
+function suggestName(name, candidates = KNOWN_TRANSFORMS) {
+  let best = null;
+  let bestDistance = Infinity;
+  
+  for (const candidate of candidates) {
+    // Levenshtein distance, one row at a time
+    let previous = Array.from({ length: candidate.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= name.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= candidate.length; j++) {
+        const cost = name[i - 1] === candidate[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    
+    const distance = previous[candidate.length];
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  
+  return bestDistance <= 2 ? best : null;
+}
+
+// Placeholder for the steps covered by a tied note
+const TIE = '_';
+
+// Signed integer or decimal literal: 60, -3, +7, 0.5, -.25
+const NUMBER_PATTERN = /[+-]?(?:\d+(?:\.\d+)?|\.\d+)/y;
+
+// Time signature in meter(7/8)
+const SIGNATURE_PATTERN = /(\d+)\/(\d+)/y;
+
+// Range of numbers with an optional step size: 1..8, 60..48, 0..127:16
+const RANGE_PATTERN = /([+-]?(?:\d+(?:\.\d+)?|\.\d+))\.\.([+-]?(?:\d+(?:\.\d+)?|\.\d+))(?::(\d+(?:\.\d+)?|\.\d+))?/y;
+
+// Exponent after a number: the "e-05" of 1e-05
+const EXPONENT_PATTERN = /[eE][+-]?\d+/y;
+
+// Transformation name with an optional glued parameter: scale2, offset-12, scale0.5
+const TRANSFORM_NAME_PATTERN = /^([a-zA-Z_]+)([+-]?(?:\d+(?:\.\d+)?|\.\d+))?$/;
+
+// Note name with optional accidentals and a (possibly negative) octave: c4, eb3, f#2, c-1
+const NOTE_PATTERN = /[a-gA-G](?:#{1,2}|b{1,2})?-?\d+(?![\w.#])/y;
+const NOTE_NAME_PATTERN = /^([a-gA-G])(#{1,2}|b{1,2})?(-?\d+)$/;
+
+// Semitones above C for each natural note name
+const NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+const SHARP_NAMES = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
+const FLAT_NAMES = ['c', 'db', 'd', 'eb', 'e', 'f', 'gb', 'g', 'ab', 'a', 'bb', 'b'];
+
+/**
+ * Convert a note name to a MIDI note number
+ * @param {string} name - Note name such as "c4", "eb3" or "f#2"
+ * @param {number} middleCOctave - Octave number of MIDI note 60 (4 for C4 = 60, 3 for C3 = 60)
+ * @returns {number|null} - The MIDI note number, or null if the name is not a note
+ */
+function noteNameToMidi(name, middleCOctave = 4) {
+  const match = NOTE_NAME_PATTERN.exec(name);
+  if (!match) return null;
+  
+  return noteMidi(noteSemitone(match[1], match[2]), parseInt(match[3]), middleCOctave);
+}
+
+/**
+ * Convert a MIDI note number to a note name
+ * @param {number} midi - MIDI note number (integers only)
+ * @param {Object} options - { middleCOctave: 4, preferFlats: false }
+ * @returns {string|null} - The note name, or null if the value is not a whole number
+ */
+function midiToNoteName(midi, options = {}) {
+  if (!Number.isInteger(midi)) return null;
+  
+  const middleCOctave = options.middleCOctave !== undefined ? options.middleCOctave : 4;
+  const names = options.preferFlats ? FLAT_NAMES : SHARP_NAMES;
+  const pitchClass = ((midi % 12) + 12) % 12;
+  const octave = Math.floor(midi / 12) - 5 + middleCOctave;
+  
+  return `${names[pitchClass]}${octave}`;
+}
+
+/**
+ * Semitones above C for a note letter and its accidentals
+ * @param {string} letter - Note letter a-g
+ * @param {string} [accidental] - "#", "##", "b" or "bb"
+ * @returns {number} - Semitone offset, may fall outside 0-11
+ */
+function noteSemitone(letter, accidental) {
+  const shift = !accidental ? 0 : accidental[0] === '#' ? accidental.length : -accidental.length;
+  return NOTE_OFFSETS[letter.toLowerCase()] + shift;
+}
+
+/**
+ * MIDI note number for a semitone within an octave
+ * @param {number} semitone - Semitones above C
+ * @param {number} octave - Octave number
+ * @param {number} middleCOctave - Octave number of MIDI note 60
+ * @returns {number} - The MIDI note number
+ */
+function noteMidi(semitone, octave, middleCOctave) {
+  return 60 + (octave - middleCOctave) * 12 + semitone;
+}
+
+// Variable reference "$fill" and pattern bank reference "@12"
+const VARIABLE_PATTERN = /\$([a-zA-Z_]\w*)/y;
+const BANK_REF_PATTERN = /@(\d+)/y;
+
+// Backslash at the end of a line, possibly followed by spaces
+const CONTINUATION_PATTERN = /\\[ \t]*(?:\r?\n|$)/y;
+
+// Compact Euclidean rhythm: e3,8 or e3,8,2 (hits, steps, rotation)
+const EUCLID_PATTERN = /e(\d+),(\d+)(?:,(-?\d+))?/y;
+
+// What follows a note that is part of a chord
+const CHORD_NOTE_END_PATTERN = /\s*[,\]]/y;
+
+/**
+ * Whether what looks like a compact Euclidean rhythm is the start of a chord:
+ * "[e4,64]" and "[ e4,64,67 ]" are chords, "[e3,8 1]" and "[e3,8[36]]" rhythms
+ * @param {Array} tokens - Tokens read so far
+ * @param {string} source - The pattern string
+ * @param {number} end - Offset just after the rhythm
+ * @returns {boolean} - True if it opens a group and a comma or "]" follows
+ */
+function startsChord(tokens, source, end) {
+  const previous = tokens[tokens.length - 1];
+  return Boolean(previous) && previous.type === 'lbracket' && Boolean(matchAt(CHORD_NOTE_END_PATTERN, source, end));
+}
+
+/**
+ * Match a sticky regular expression at a position in the source
+ * @param {RegExp} pattern - A regular expression with the "y" flag
+ * @param {string} source - The pattern string
+ * @param {number} pos - Offset to match at
+ * @returns {Array|null} - The match, or null if there is none
+ */
+function matchAt(pattern, source, pos) {
+  pattern.lastIndex = pos;
+  return pattern.exec(source);
+}
+
+/**
+ * Split a pattern string into tokens, each carrying its source range.
+ * Sources may span several lines: "//" and "#" start a comment that runs to
+ * the end of the line, and a "\" at the end of a line continues the pattern
+ * on the next one. Comments are skipped, and listed in tokens.comments.
+ * @param {string} source - The pattern string
+ * @returns {Array} - Tokens of the form { type, value, start, end }
+ */
+function tokenize(source) {
+  const tokens = [];
+  tokens.comments = [];
+  let pos = 0;
+  
+  while (pos < source.length) {
+    const char = source[pos];
+    
+    // Skip whitespace and line continuations
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+    
+    const start = pos;
+    let match = matchAt(CONTINUATION_PATTERN, source, pos);
+    if (match) {
+      pos += match[0].length;
+      continue;
+    }
+    
+    // A comment starts where a token could, so "f#2" and "inkey(f#)" are notes
+    if (char === '#' || source.startsWith('//', pos)) {
+      while (pos < source.length && source[pos] !== '\n') pos++;
+      tokens.comments.push({ value: source.substring(start, pos), start, end: pos });
+      continue;
+    }
+    
+    // A sign only starts a number when a digit follows, so a bare "-" stays a rest
+    const number = matchAt(NUMBER_PATTERN, source, pos);
+    
+    if ((match = matchAt(SIGNATURE_PATTERN, source, pos))) {
+      pos += match[0].length;
+      tokens.push({ type: 'signature', value: match[0], beats: parseInt(match[1]), unit: parseInt(match[2]), start, end: pos });
+    } else if (number && (match = matchAt(RANGE_PATTERN, source, pos))) {
+      pos += match[0].length;
+      tokens.push({
+        type: 'range',
+        value: match[0],
+        from: parseFloat(match[1]),
+        to: parseFloat(match[2]),
+        step: match[3] !== undefined ? parseFloat(match[3]) : null,
+        start,
+        end: pos
+      });
+    } else if (number && (match = matchAt(EXPONENT_PATTERN, source, pos + number[0].length))) {
+      // "1e-05" is how Pd saves small floats; it is not a 1 followed by a note
+      pos += number[0].length + match[0].length;
+      tokens.push({ type: 'exponent', value: source.substring(start, pos), start, end: pos });
+    } else if (number) {
+      pos += number[0].length;
+      tokens.push({ type: 'number', value: parseFloat(number[0]), start, end: pos });
+    } else if (source[pos - 1] !== ',' && (match = matchAt(EUCLID_PATTERN, source, pos)) && !startsChord(tokens, source, pos + match[0].length)) {
+      // Compact Euclidean rhythm (not after a comma, where "e3,5" is part of a chord)
+      pos += match[0].length;
+      tokens.push({
+        type: 'euclid',
+        value: match[0],
+        hits: parseInt(match[1]),
+        steps: parseInt(match[2]),
+        rotation: match[3] !== undefined ? parseInt(match[3]) : 0,
+        start,
+        end: pos
+      });
+    } else if (!/[\w.]/.test(source[pos - 1] || '') && (match = matchAt(NOTE_PATTERN, source, pos))) {
+      // Note name, resolved to a MIDI number at evaluation time; only at the
+      // start of a token, so "60c4" is not read as 60 followed by c4
+      pos += match[0].length;
+      tokens.push({ type: 'note', value: match[0], start, end: pos });
+    } else if (char === '_') {
+      tokens.push({ type: 'tie', value: char, start, end: ++pos });
+    } else if (/[a-zA-Z]/.test(char)) {
+      // Transformation name, possibly with a glued parameter (e.g. "scale2", "offset-12")
+      while (pos < source.length && /\w/.test(source[pos]) && !/\d/.test(source[pos])) {
+        pos++;
+      }
+      // A lone note letter may carry sharps, for keys such as inkey(f#,minor)
+      if (pos === start + 1 && /[a-gA-G]/.test(char)) {
+        while (source[pos] === '#' && pos < start + 3) pos++;
+      }
+      const param = matchAt(NUMBER_PATTERN, source, pos);
+      if (param) pos += param[0].length;
+      tokens.push({ type: 'ident', value: source.substring(start, pos), start, end: pos });
+    } else if (char === '-') {
+      tokens.push({ type: 'rest', value: char, start, end: ++pos });
+    } else if (char === '[') {
+      tokens.push({ type: 'lbracket', value: char, start, end: ++pos });
+    } else if (char === ']') {
+      tokens.push({ type: 'rbracket', value: char, start, end: ++pos });
+    } else if (char === '*') {
+      tokens.push({ type: 'star', value: char, start, end: ++pos });
+    } else if (char === '|') {
+      tokens.push({ type: 'pipe', value: char, start, end: ++pos });
+    } else if (char === ':') {
+      tokens.push({ type: 'colon', value: char, start, end: ++pos });
+    } else if (char === '?') {
+      tokens.push({ type: 'question', value: char, start, end: ++pos });
+    } else if ((match = matchAt(VARIABLE_PATTERN, source, pos))) {
+      pos += match[0].length;
+      tokens.push({ type: 'variable', value: match[1], start, end: pos });
+    } else if ((match = matchAt(BANK_REF_PATTERN, source, pos))) {
+      pos += match[0].length;
+      tokens.push({ type: 'bankref', value: parseInt(match[1]), start, end: pos });
+    } else if (char === '=') {
+      tokens.push({ type: 'equals', value: char, start, end: ++pos });
+    } else if (char === '<') {
+      tokens.push({ type: 'langle', value: char, start, end: ++pos });
+    } else if (char === '>') {
+      tokens.push({ type: 'rangle', value: char, start, end: ++pos });
+    } else if (char === '(') {
+      tokens.push({ type: 'lparen', value: char, start, end: ++pos });
+    } else if (char === ')') {
+      tokens.push({ type: 'rparen', value: char, start, end: ++pos });
+    } else if (char === ',') {
+      tokens.push({ type: 'comma', value: char, start, end: ++pos });
+    } else {
+      tokens.push({ type: 'unknown', value: char, start, end: ++pos });
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse a pattern string (or a token list from tokenize) into an AST.
+ * Every node carries `start` and `end` offsets into the source string.
+ *
+ * Node types:
+ *   Pattern   { body: [node] }
+ *   Number    { value }
+ *   Note      { name, semitone, octave }
+ *   Rest      {}
+ *   Tie       {}
+ *   Group     { body: [node] }
+ *   Repeat    { target: node, count }
+ *   Transform { name, param, args: [{ name, value }]|null, target: Group|Transform|Euclid }
+ *   Euclid    { hits, steps, rotation, payload: Group|null }
+ *   Range     { from, to, step }
+ *   Generator { name, args: [{ name, value }] }
+ *   Bar       {}
+ *   Meter     { beats, unit, resolution, steps }
+ *   Choice    { options: [{ value: Number|Note|Rest|Stack, weight }] }
+ *   Chance    { target: Number|Note|Rest|Stack|Choice|Event, probability }
+ *   Alternate { body: [node] }
+ *   Event     { pitch: Number|Note|Stack, velocity, duration }
+ *   Stack     { notes: [Number|Note] }
+ *   Define    { name, value: node }
+ *   Reference { name }
+ *   BankRef   { index }
+ *
+ * A transformation takes a glued parameter ("offset-12", kept in param) or an
+ * argument list ("range(36,60)", "sparse(30, seed=4)", kept in args).
+ *
+ * "$fill = [1 - 2 3]*2" defines a variable (top level only, no output) and
+ * "$fill" plays it; "@12" plays entry 12 of the pattern bank (patterns.js).
+ *
+ * "[60,64,67]" is a chord: one step whose value is an array of notes. Chords
+ * can be used wherever a single value can ("[60,64]|[62,65]", "[60,64]:90").
+ *
+ * "60:110:0.5" is an event with velocity and duration (in steps); omitted or
+ * empty fields ("60:110", "60::0.5") take the defaultVelocity/defaultDuration
+ * options. Next to "|" a single ":N" is a weight instead.
+ *
+ * "60 _ _ -" holds 60 for three steps: each "_" adds a step to the duration of
+ * the note before it and stays in the evaluated pattern as a "_" placeholder.
+ *
+ * "<60 63 67>" plays one of its steps per pass of the loop: step (cycle mod 3),
+ * where `cycle` is passed to the evaluator in the config (see mseq2.js).
+ *
+ * Random steps are written without spaces: "1|5|7" picks one value, "1:3|5:1"
+ * weights the pick, and "5?30" plays 5 with a 30% chance (a bare "5?" is 50%).
+ *
+ * Euclidean rhythms are written "euclid(3,8)" or "e3,8", with an optional
+ * rotation ("e3,8,2") and an optional group of hit values written directly
+ * after it ("e3,8[36 38]"); hits take the group's values in turn. A group
+ * holding only "e4,64" is the chord of e4 and 64, not a rhythm.
+ *
+ * "1..8" counts up in steps of 1 and "60..48" down; "0..127:16" counts in
+ * steps of 16, stopping at the last value that does not pass the end (112).
+ *
+ * Generators write sampled values: "sine(0,127,16)" is one period of a sine
+ * wave over 16 steps, "saw(0,1,8)" a ramp from 0 towards 1, "drunk(60,3,16)"
+ * a random walk from 60 moving up to 3 each step and "noise(0,100,8,seed)"
+ * random values; drunk and noise use whole numbers for whole arguments.
+ * They can be transformed directly: "quantize1 sine(0,127,16)".
+ *
+ * At the top level a "|" with a space before it is a bar line: "1 2 3 4 | 5 6 7 8".
+ * "meter(7/8)" sets the length of the bars that follow, in sixteenth-note
+ * steps (14 here); "meter(7/8,8)" counts eighth-note steps instead (7).
+ * Bars of another length are warned about, and without bar lines a meter
+ * splits the pattern into bars itself (see evaluateBars).
+ *
+ * Transformations chain right to left and bind tighter than repetition:
+ * "reverse offset12 mirror[60 62]*2" is ((reverse (offset12 (mirror [60 62]))) * 2).
+ * To transform a repeated group, bracket it: "reverse [[60 62]*2]".
+ *
+ * @param {string|Array} source - The pattern string or its tokens
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Object} - The Pattern node
+ */
+function parse(source, diagnostics) {
+  const tokens = typeof source === 'string' ? tokenize(source) : source;
+  const sourceEnd = tokens.length ? tokens[tokens.length - 1].end : 0;
+  let index = 0;
+  
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  
+  function parseSequence(closeType) {
+    const body = [];
+    
+    while (index < tokens.length) {
+      const token = peek();
+      
+      // Inside a group a comma separates the notes of a chord
+      if (token.type === closeType || (closeType === 'rbracket' && token.type === 'comma')) break;
+      
+      if (token.type === 'variable' && tokens[index + 1] && tokens[index + 1].type === 'equals') {
+        const definition = parseDefinition(closeType);
+        if (definition) body.push(definition);
+        continue;
+      }
+      
+      if (token.type === 'ident' && token.value === 'meter') {
+        const meter = parseMeter(closeType);
+        if (meter) body.push(meter);
+        continue;
+      }
+      
+      // A "|" glued to the value before it belongs to an alternative ("1|5")
+      if (token.type === 'pipe' && (index === 0 || tokens[index - 1].end !== token.start)) {
+        next();
+        if (closeType === null) {
+          body.push({ type: 'Bar', start: token.start, end: token.end });
+        } else {
+          report(diagnostics, 'error', 'Alternatives must be written without spaces', token, 'write them as 1|5|7');
+        }
+        continue;
+      }
+      
+      if (token.type === 'rbracket' || token.type === 'rangle') {
+        report(diagnostics, 'error', `Unbalanced brackets in pattern: unexpected "${token.value}"`, token, `remove the extra "${token.value}"`);
+        next();
+        continue;
+      }
+      
+      const step = parseStep();
+      if (step) body.push(step);
+    }
+    
+    return body;
+  }
+  
+  function parseStep() {
+    let node = parsePrimary();
+    if (!node) return null;
+    
+    if (isSingleValue(node) && adjacent(node, 'pipe', 'colon')) {
+      // ":" introduces event fields, or a weight when alternatives follow
+      const { fields, end } = parseFields(node);
+      if (adjacent({ end }, 'pipe')) {
+        node = parseChoice(node, fields, end);
+      } else if (fields.length) {
+        node = parseEvent(node, fields, end);
+      }
+    }
+    
+    if (isSingleValue(node) || node.type === 'Choice' || node.type === 'Event') {
+      if (adjacent(node, 'question')) {
+        node = parseChance(node);
+      }
+    }
+    
+    if (adjacent(node, 'pipe')) {
+      report(diagnostics, 'error', 'Alternatives must be written without spaces', peek(), 'write them as 1|5|7');
+      next();
+    }
+    
+    // Postfix repetition binds to the whole step, e.g. "[1 2]*3" or "scale2 reverse[1 2]*3"
+    while (peek() && peek().type === 'star') {
+      const star = next();
+      const count = peek();
+      
+      if (!count || count.type !== 'number') {
+        report(diagnostics, 'error', 'Invalid repeat count', star, 'use a positive whole number after "*", e.g. *2');
+        continue;
+      }
+      
+      next();
+      if (!Number.isInteger(count.value) || count.value <= 0) {
+        report(diagnostics, 'error', 'Invalid repeat count', { start: star.start, end: count.end },
+          'use a positive whole number after "*", e.g. *2');
+        continue;
+      }
+      
+      node = { type: 'Repeat', target: node, count: count.value, start: node.start, end: count.end };
+    }
+    
+    return node;
+  }
+  
+  function isSingleValue(node) {
+    return node.type === 'Number' || node.type === 'Note' || node.type === 'Rest' || node.type === 'Stack';
+  }
+  
+  // Is the next token one of the given types, written directly after the node?
+  function adjacent(node, ...types) {
+    const token = peek();
+    return Boolean(token) && types.includes(token.type) && token.start === node.end;
+  }
+  
+  // Parse the ":field" suffixes after a value; an empty field ("60::0.5") is null
+  function parseFields(value) {
+    const fields = [];
+    let end = value.end;
+    
+    while (adjacent({ end }, 'colon')) {
+      end = next().end;
+      
+      if (adjacent({ end }, 'number')) {
+        const field = next();
+        fields.push(field.value);
+        end = field.end;
+      } else {
+        fields.push(null);
+      }
+    }
+    
+    return { fields, end };
+  }
+  
+  function parseEvent(pitch, fields, end) {
+    const range = { start: pitch.start, end };
+    
+    if (pitch.type === 'Rest') {
+      report(diagnostics, 'error', 'A rest cannot carry velocity or duration', range, 'remove the fields after "-"');
+      return pitch;
+    }
+    
+    if (fields.length > 2) {
+      report(diagnostics, 'error', `Too many fields in event (${fields.length + 1})`, range, 'write note:velocity:duration, e.g. 60:110:0.5');
+    }
+    
+    // Fields out of range fall back to the defaults
+    let velocity = fields[0] !== undefined ? fields[0] : null;
+    let duration = fields[1] !== undefined ? fields[1] : null;
+    if (velocity !== null && velocity < 0) {
+      report(diagnostics, 'error', `Velocity ${velocity} is negative`, range, 'use a velocity of 0 or more, e.g. 60:110');
+      velocity = null;
+    }
+    if (duration !== null && duration <= 0) {
+      report(diagnostics, 'error', `Duration ${duration} is not positive`, range, 'use a duration above 0, e.g. 60:110:0.5');
+      duration = null;
+    }
+    
+    return {
+      type: 'Event',
+      pitch,
+      velocity,
+      duration,
+      start: pitch.start,
+      end
+    };
+  }
+  
+  // Validate the fields after an alternative as a single weight
+  function optionWeight(fields, range) {
+    const weight = fields.length ? fields[0] : 1;
+    
+    if (fields.length > 1 || weight === null || weight <= 0) {
+      report(diagnostics, 'error', 'Invalid weight', range, 'use a positive number after ":", e.g. 1:3|5:1');
+      return 1;
+    }
+    
+    return weight;
+  }
+  
+  function parseChoice(first, firstFields, firstEnd) {
+    const options = [{ value: first, weight: optionWeight(firstFields, { start: first.end, end: firstEnd }), end: firstEnd }];
+    
+    while (adjacent({ end: options[options.length - 1].end }, 'pipe')) {
+      const pipe = next();
+      
+      const value = peek() && peek().start === pipe.end ? parsePrimary() : null;
+      if (!value || !isSingleValue(value)) {
+        report(diagnostics, 'error', 'Expected a value after "|"', pipe, 'alternatives are single values, e.g. 1|5|7');
+        break;
+      }
+      
+      const { fields, end } = parseFields(value);
+      options.push({ value, weight: optionWeight(fields, { start: value.end, end }), end });
+    }
+    
+    return {
+      type: 'Choice',
+      options: options.map(({ value, weight }) => ({ value, weight })),
+      start: first.start,
+      end: options[options.length - 1].end
+    };
+  }
+  
+  function parseChance(target) {
+    const question = next();
+    let probability = 50;
+    let end = question.end;
+    
+    const amount = peek();
+    if (amount && amount.type === 'number' && amount.start === question.end) {
+      next();
+      probability = amount.value;
+      end = amount.end;
+      
+      if (probability < 0 || probability > 100) {
+        report(diagnostics, 'warning', `Probability ${probability}% is outside 0-100`, { start: question.start, end },
+          'use a percentage between 0 and 100');
+        probability = Math.min(100, Math.max(0, probability));
+      }
+    }
+    
+    return { type: 'Chance', target, probability, start: target.start, end };
+  }
+  
+  function parsePrimary() {
+    const token = next();
+    
+    switch (token.type) {
+      case 'number':
+        return { type: 'Number', value: token.value, start: token.start, end: token.end };
+        
+      case 'note': {
+        const match = NOTE_NAME_PATTERN.exec(token.value);
+        return {
+          type: 'Note',
+          name: token.value,
+          semitone: noteSemitone(match[1], match[2]),
+          octave: parseInt(match[3]),
+          start: token.start,
+          end: token.end
+        };
+      }
+        
+      case 'rest':
+        return { type: 'Rest', start: token.start, end: token.end };
+        
+      case 'tie':
+        return { type: 'Tie', start: token.start, end: token.end };
+        
+      case 'variable':
+        return { type: 'Reference', name: token.value, start: token.start, end: token.end };
+        
+      case 'bankref':
+        return { type: 'BankRef', index: token.value, start: token.start, end: token.end };
+        
+      case 'lbracket':
+        return parseGroup(token);
+        
+      case 'langle':
+        return parseAlternate(token);
+        
+      case 'ident':
+        return parseWord(token);
+        
+      case 'euclid':
+        return makeEuclid(token, token.hits, token.steps, token.rotation);
+        
+      case 'exponent':
+        report(diagnostics, 'error', `Numbers in exponent notation are not supported: ${token.value}`, token,
+          `write it as ${plainNumber(parseFloat(token.value))}`);
+        return null;
+        
+      case 'range':
+        if (token.step === 0) {
+          report(diagnostics, 'error', 'Range step must be greater than 0', token, 'write the step after ":", e.g. 0..127:16');
+          return null;
+        }
+        return { type: 'Range', from: token.from, to: token.to, step: token.step, start: token.start, end: token.end };
+      
+      case 'star':
+        report(diagnostics, 'error', 'Repetition without a value', token, 'put a value or group before "*", e.g. 1*4');
+        // Skip the dangling count as well
+        if (peek() && peek().type === 'number') next();
+        return null;
+        
+      default:
+        report(diagnostics, 'error', `Unexpected character "${token.value}"`, token, 'remove it');
+        return null;
+    }
+  }
+  
+  function parseDefinition(closeType) {
+    const name = next();
+    const equals = next();
+    
+    if (closeType) {
+      report(diagnostics, 'error', `Definition of $${name.value} must be at the top level`, { start: name.start, end: equals.end },
+        'move the definition out of the brackets');
+    }
+    
+    const value = peek() && peek().type !== closeType ? parseStep() : null;
+    if (!value) {
+      report(diagnostics, 'error', `Definition of $${name.value} has no value`, { start: name.start, end: equals.end },
+        `write $${name.value} = [1 2 3]`);
+      return null;
+    }
+    
+    return closeType ? null : { type: 'Define', name: name.value, value, start: name.start, end: value.end };
+  }
+  
+  function parseMeter(closeType) {
+    const token = next();
+    const usage = 'write the time signature in parentheses, e.g. meter(7/8)';
+    
+    if (!peek() || peek().type !== 'lparen') {
+      report(diagnostics, 'error', 'meter must be followed by a time signature', token, usage);
+      return null;
+    }
+    next();
+    
+    const signature = peek() && peek().type === 'signature' ? next() : null;
+    let resolution = 16;
+    if (signature && peek() && peek().type === 'comma') {
+      next();
+      resolution = peek() && peek().type === 'number' ? next().value : null;
+    }
+    
+    const close = peek() && peek().type === 'rparen' ? next() : null;
+    if (!signature || !close || !Number.isInteger(resolution) || resolution <= 0) {
+      report(diagnostics, 'error', 'Invalid meter', { start: token.start, end: close ? close.end : token.end }, usage);
+      if (!close) skipArguments();
+      return null;
+    }
+    
+    const range = { start: token.start, end: close.end };
+    if (closeType) {
+      report(diagnostics, 'error', 'meter must be at the top level', range, 'move it out of the brackets');
+      return null;
+    }
+    
+    const steps = signature.beats * resolution / signature.unit;
+    if (!Number.isInteger(steps) || steps <= 0) {
+      report(diagnostics, 'error', `A bar of ${signature.value} is not a whole number of 1/${resolution} steps`, range,
+        `count the steps in 1/${signature.unit} notes, e.g. meter(${signature.value},${signature.unit})`);
+      return null;
+    }
+    
+    return { type: 'Meter', beats: signature.beats, unit: signature.unit, resolution, steps, ...range };
+  }
+  
+  function parseTransform(token) {
+    const match = token.value.match(TRANSFORM_NAME_PATTERN);
+    
+    if (!match) {
+      report(diagnostics, 'error', `Invalid transformation: ${token.value}`, token, 'put the numeric parameter at the end of the name, e.g. offset12');
+      return null;
+    }
+    
+    // Parenthesised arguments: rotate(-2), range(36,60), sparse(30, seed=4)
+    let args = null;
+    if (peek() && peek().type === 'lparen') {
+      args = parseArguments(token);
+      if (!args) return null;
+      
+      if (match[2] !== undefined) {
+        report(diagnostics, 'error', `Transformation "${token.value}" has both a glued parameter and arguments`, { start: token.start, end: args.end },
+          `write ${match[1]}(${[match[2], ...args.map(arg => arg.value)].join(', ')})`);
+        return null;
+      }
+    }
+    
+    // The target is a group, a Euclidean rhythm, a generator or another transformation (chaining)
+    let target = null;
+    if (peek() && peek().type === 'lbracket') {
+      target = parseGroup(next());
+    } else if (peek() && peek().type === 'euclid') {
+      const euclid = next();
+      target = makeEuclid(euclid, euclid.hits, euclid.steps, euclid.rotation);
+    } else if (peek() && peek().type === 'ident') {
+      target = parseWord(next());
+      if (!target) return null;
+    } else if (peek() && (peek().type === 'variable' || peek().type === 'bankref')) {
+      target = parsePrimary();
+    } else {
+      report(diagnostics, 'error', `Transformation "${token.value}" must be followed by a group`, token,
+        `wrap the values in brackets, e.g. ${token.value}[1 2 3]`);
+      return null;
+    }
+    
+    return {
+      type: 'Transform',
+      name: match[1],
+      param: match[2] !== undefined ? parseFloat(match[2]) : null,
+      args: args && args.map(arg => ({ name: arg.name, value: arg.value, start: arg.start, end: arg.end })),
+      target,
+      start: token.start,
+      end: target.end
+    };
+  }
+  
+  // A word starts a euclid(...) rhythm, a generator or a transformation
+  function parseWord(token) {
+    if (token.value === 'euclid') return parseEuclidCall(token);
+    return GENERATOR_PARAMS[token.value] ? parseGenerator(token) : parseTransform(token);
+  }
+  
+  function parseGenerator(token) {
+    const args = parseArguments(token);
+    if (!args) return null;
+    
+    const range = { start: token.start, end: args.end };
+    if (!bindArguments(token.value, GENERATOR_PARAMS[token.value], args, diagnostics, range)) return null;
+    
+    return {
+      type: 'Generator',
+      name: token.value,
+      args: args.map(arg => ({ name: arg.name, value: arg.value, start: arg.start, end: arg.end })),
+      start: token.start,
+      end: args.end
+    };
+  }
+  
+  function parseEuclidCall(token) {
+    const args = parseArguments(token);
+    if (!args) return null;
+    
+    if (args.length < 2 || args.length > 3 || args.some(arg => arg.name !== null)) {
+      report(diagnostics, 'error', `euclid takes 2 or 3 arguments, got ${args.length}`, { start: token.start, end: args.end },
+        'write euclid(hits,steps) or euclid(hits,steps,rotation)');
+      return null;
+    }
+    
+    const [hits, steps, rotation] = args.map(arg => arg.value);
+    return makeEuclid({ start: token.start, end: args.end }, hits, steps, rotation || 0);
+  }
+  
+  function makeEuclid(range, hits, steps, rotation) {
+    if (![hits, steps, rotation].every(Number.isInteger) || hits < 0 || steps <= 0) {
+      report(diagnostics, 'error', 'Euclidean rhythm needs whole numbers with at least one step', range,
+        'use whole numbers, e.g. euclid(3,8)');
+      return null;
+    }
+    
+    if (hits > steps) {
+      report(diagnostics, 'warning', `Euclidean rhythm has more hits (${hits}) than steps (${steps})`, range,
+        `use at most ${steps} hits`);
+      hits = steps;
+    }
+    
+    // An optional group right after the rhythm supplies the hit values
+    let payload = null;
+    if (peek() && peek().type === 'lbracket' && peek().start === range.end) {
+      payload = parseGroup(next());
+    }
+    
+    return {
+      type: 'Euclid',
+      hits,
+      steps,
+      rotation,
+      payload,
+      start: range.start,
+      end: payload ? payload.end : range.end
+    };
+  }
+  
+  // Parse a parenthesised, comma separated list of numbers after a name
+  function parseArguments(token) {
+    const open = peek();
+    if (!open || open.type !== 'lparen') {
+      report(diagnostics, 'error', `"${token.value}" must be followed by arguments in parentheses`, token,
+        `write ${token.value}(...)`);
+      return null;
+    }
+    next();
+    
+    const args = [];
+    while (peek() && peek().type !== 'rparen') {
+      let arg = next();
+      let name = null;
+      const start = arg.start;
+      
+      // Named argument: seed=4
+      if (arg.type === 'ident' && peek() && peek().type === 'equals') {
+        name = arg.value;
+        next();
+        arg = peek() && peek().type !== 'rparen' ? next() : null;
+      }
+      
+      // Numbers, or words such as scale names
+      if (!arg || (arg.type !== 'number' && arg.type !== 'ident')) {
+        report(diagnostics, 'error', `Expected a number in the arguments of "${token.value}"`, arg || peek() || open, 'use numbers separated by commas');
+        skipArguments();
+        return null;
+      }
+      args.push({ name, value: arg.value, start, end: arg.end });
+      
+      if (peek() && peek().type === 'comma') next();
+      else if (peek() && peek().type !== 'rparen') {
+        report(diagnostics, 'error', `Expected "," or ")" in the arguments of "${token.value}"`, peek(), 'separate arguments with commas');
+        skipArguments();
+        return null;
+      }
+    }
+    
+    const close = next();
+    if (!close) {
+      report(diagnostics, 'error', `Unclosed "(" after "${token.value}"`, open, 'add ")"');
+      return null;
+    }
+    
+    args.end = close.end;
+    return args;
+  }
+  
+  // Recover from a malformed argument list by skipping past its ")"
+  function skipArguments() {
+    while (peek() && peek().type !== 'rparen') next();
+    next();
+  }
+  
+  function parseAlternate(open) {
+    const body = parseSequence('rangle');
+    const close = peek();
+    
+    if (!close || close.type !== 'rangle') {
+      report(diagnostics, 'error', 'Unbalanced brackets in pattern: "<" is never closed', open, 'add ">" to close the alternation');
+      return { type: 'Alternate', body, start: open.start, end: sourceEnd };
+    }
+    
+    next();
+    return { type: 'Alternate', body, start: open.start, end: close.end };
+  }
+  
+  function parseGroup(open) {
+    const layers = [parseSequence('rbracket')];
+    while (peek() && peek().type === 'comma') {
+      next();
+      layers.push(parseSequence('rbracket'));
+    }
+    
+    const close = peek();
+    let end = close ? close.end : sourceEnd;
+    
+    if (!close || close.type !== 'rbracket') {
+      report(diagnostics, 'error', 'Unbalanced brackets in pattern: "[" is never closed', open, 'add "]" to close the group');
+      end = sourceEnd;
+    } else {
+      next();
+    }
+    
+    if (layers.length === 1) {
+      return { type: 'Group', body: layers[0], start: open.start, end };
+    }
+    
+    // "[60,64,67]" stacks single notes into a chord
+    const notes = layers.map(layer => layer.length === 1 ? layer[0] : null);
+    if (notes.some(note => !note || (note.type !== 'Number' && note.type !== 'Note'))) {
+      report(diagnostics, 'error', 'Chord notes must be single values', { start: open.start, end },
+        'separate single notes with commas, e.g. [60,64,67]');
+      return { type: 'Group', body: [].concat(...layers), start: open.start, end };
+    }
+    
+    return { type: 'Stack', notes, start: open.start, end };
+  }
+  
+  const body = parseSequence(null);
+  return {
+    type: 'Pattern',
+    body,
+    start: 0,
+    end: typeof source === 'string' ? source.length : sourceEnd
+  };
+}
+
+/**
+ * Evaluate an AST node into a flat array of notes/rests
+ * @param {Object} node - A node produced by parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Array} - The evaluated pattern
+ */
+function evaluate(node, config = {}, diagnostics) {
+  return Array.from(generate(node, config, diagnostics));
+}
+
+// Steps of a repeated group kept for replaying; longer groups are generated
+// again with the same random numbers, which gives the same steps
+const REPEAT_BUFFER = 65536;
+
+/**
+ * Evaluate an AST node lazily, yielding one step at a time
+ * @param {Object} node - A node produced by parse()
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Iterator} - The evaluated steps
+ */
+function* generate(node, config = {}, diagnostics) {
+  const restValue = config.defaultRestValue !== undefined ? config.defaultRestValue : '-';
+  checkDeadline(config);
+  
+  switch (node.type) {
+    case 'Number':
+      yield node.value;
+      break;
+      
+    case 'Note':
+      yield noteMidi(node.semitone, node.octave, config.middleCOctave !== undefined ? config.middleCOctave : 4);
+      break;
+      
+    case 'Rest':
+      yield restValue;
+      break;
+      
+    case 'Stack':
+      yield node.notes.map(note => evaluate(note, config, diagnostics)[0]);
+      break;
+      
+    case 'Tie':
+      // Merged into the preceding note by applyTies once the pattern is flat
+      yield TIE;
+      break;
+      
+    case 'Pattern':
+    case 'Group': {
+      const childConfig = deeper(node, config, diagnostics);
+      if (!childConfig) break;
+      
+      // In subdivision mode a group is a single step that its children share
+      if (node.type === 'Group' && config.subdivide) {
+        const steps = [];
+        for (const child of node.body) {
+          for (const step of generate(child, childConfig, diagnostics)) steps.push(step);
+        }
+        yield { type: 'subdivision', steps };
+        break;
+      }
+      
+      for (const child of node.body) {
+        yield* generate(child, childConfig, diagnostics);
+      }
+      break;
+    }
+    
+    case 'Define':
+      if (config.variables) config.variables[node.name] = node.value;
+      break;
+      
+    case 'Bar':
+    case 'Meter':
+      // Only used to number and check bars, see evaluateBars
+      break;
+      
+    case 'Reference': {
+      const value = config.variables && config.variables[node.name];
+      if (!value) {
+        report(diagnostics, 'error', `Undefined variable $${node.name}`, node, `define it first, e.g. $${node.name} = [1 2 3]`);
+        break;
+      }
+      
+      // References count towards the recursion depth, which stops "$a = [$a 1]"
+      const childConfig = deeper(node, config, diagnostics);
+      if (childConfig) yield* generate(value, childConfig, diagnostics);
+      break;
+    }
+    
+    case 'BankRef': {
+      const entry = bankEntry(node.index, config);
+      if (!entry) {
+        report(diagnostics, 'error', `Pattern bank has no entry @${node.index}`, node, 'check that patterns.js is available');
+        break;
+      }
+      
+      if (entry.diagnostics.length) {
+        report(diagnostics, 'warning', `Pattern bank entry @${node.index}: ${entry.diagnostics[0].message}`, node, entry.diagnostics[0].fix);
+      }
+      
+      const childConfig = deeper(node, config, diagnostics);
+      if (childConfig) yield* generate(entry.ast, childConfig, diagnostics);
+      break;
+    }
+    
+    case 'Repeat': {
+      // Every pass is the same as the first, which reports the problems
+      // for all of them. The first pass is kept and replayed, or for a very
+      // long group generated again from the random numbers it drew.
+      const draws = [];
+      const random = config.random || Math.random;
+      const recording = { ...config, random: () => { const value = random(); draws.push(value); return value; } };
+      let buffer = [];
+      for (const step of generate(node.target, recording, diagnostics)) {
+        if (buffer && buffer.length < REPEAT_BUFFER) buffer.push(step);
+        else buffer = null;
+        yield step;
+      }
+      for (let i = 1; i < node.count; i++) {
+        checkDeadline(config);
+        let next = 0;
+        yield* buffer || generate(node.target, { ...config, random: () => draws[next++] }, []);
+      }
+      break;
+    }
+    
+    case 'Event':
+      yield {
+        type: 'event',
+        pitch: evaluate(node.pitch, config, diagnostics)[0],
+        velocity: node.velocity !== null ? node.velocity : (config.defaultVelocity !== undefined ? config.defaultVelocity : 100),
+        duration: node.duration !== null ? node.duration : (config.defaultDuration !== undefined ? config.defaultDuration : 1)
+      };
+      break;
+      
+    case 'Alternate':
+      if (node.body.length) {
+        const cycle = config.cycle || 0;
+        const choice = node.body[((cycle % node.body.length) + node.body.length) % node.body.length];
+        yield* generate(choice, config, diagnostics);
+      }
+      break;
+      
+    case 'Choice':
+      // Options are single values, so each evaluates to exactly one step
+      yield {
+        type: 'choice',
+        options: node.options.map(option => ({
+          value: evaluate(option.value, config, diagnostics)[0],
+          weight: option.weight
+        }))
+      };
+      break;
+      
+    case 'Chance':
+      yield {
+        type: 'chance',
+        probability: node.probability,
+        value: evaluate(node.target, config, diagnostics)[0]
+      };
+      break;
+      
+    case 'Euclid': {
+      let payload = node.payload ? evaluate(node.payload, config, diagnostics) : [1];
+      if (config.subdivide) payload = subdivisionSteps(payload) || payload;
+      const rhythm = euclideanRhythm(node.hits, node.steps, node.rotation);
+      let hit = 0;
+      
+      // Hits take the payload values in turn
+      for (const isHit of rhythm) {
+        yield isHit && payload.length ? payload[hit++ % payload.length] : restValue;
+      }
+      break;
+    }
+    
+    case 'Range':
+      yield* rangeValues(node.from, node.to, node.step);
+      break;
+      
+    case 'Generator': {
+      const params = bindArguments(node.name, GENERATOR_PARAMS[node.name], node.args, diagnostics, node);
+      if (params) yield* generatorValues(node.name, params, config.random);
+      break;
+    }
+      
+    case 'Transform': {
+      // Transformations need the whole group they apply to
+      const target = evaluate(node.target, config, diagnostics);
+      
+      // A subdivided group is transformed inside and still fills one step
+      const inner = config.subdivide && subdivisionSteps(target);
+      const steps = applyTransform(node.name, transformArgs(node), inner || target, diagnostics, node, config.random);
+      
+      // Registered transformations can take any time and make any number of steps
+      checkDeadline(config);
+      checkStepLimit(steps.length, config, node);
+      
+      if (inner) yield { type: 'subdivision', steps };
+      else yield* steps;
+      break;
+    }
+      
+    default:
+      report(diagnostics, 'error', `Unknown node type: ${node.type}`, node, null);
+  }
+}
+
+/**
+ * Number of values in a range
+ * @param {number} from - First value
+ * @param {number} to - Last value, reached if the step divides the distance
+ * @param {number|null} step - Distance between values, 1 when null
+ * @returns {number} - Number of values
+ */
+function rangeLength(from, to, step) {
+  // The tolerance keeps fractional steps such as 0..1:0.1 from losing the last value
+  return Math.floor(Math.abs(to - from) / (step || 1) + 1e-9) + 1;
+}
+
+/**
+ * Values of a range, counting down when the end is below the start
+ * @param {number} from - First value
+ * @param {number} to - Last value, reached if the step divides the distance
+ * @param {number|null} step - Distance between values, 1 when null
+ * @returns {Iterator} - The values
+ */
+function* rangeValues(from, to, step) {
+  const size = (to < from ? -1 : 1) * (step || 1);
+  const length = rangeLength(from, to, step);
+  
+  for (let i = 0; i < length; i++) {
+    yield roundValue(from + size * i);
+  }
+}
+
+/**
+ * Values sampled by a generator such as "sine(0,127,16)"
+ * @param {string} name - sine, saw, drunk or noise
+ * @param {Object} params - Argument values by parameter name, see GENERATOR_PARAMS
+ * @param {Function} random - Source of random numbers in [0, 1), replaced by a seed argument
+ * @returns {Iterator} - The values
+ */
+function* generatorValues(name, params, random = Math.random) {
+  if (params.seed !== undefined && params.seed !== null) random = createRandom(params.seed);
+  
+  const low = Math.min(params.min, params.max);
+  const high = Math.max(params.min, params.max);
+  let value = params.start;
+  
+  for (let i = 0; i < params.steps; i++) {
+    switch (name) {
+      case 'sine':
+        // Starts in the middle and rises, like a sine wave
+        yield roundValue(params.min + (params.max - params.min) * (1 + Math.sin(2 * Math.PI * i / params.steps)) / 2);
+        break;
+        
+      case 'saw':
+        // Stops one step short of max, so that it loops smoothly
+        yield roundValue(params.min + (params.max - params.min) * i / params.steps);
+        break;
+        
+      case 'drunk': {
+        yield value;
+        const move = (random() * 2 - 1) * params.size;
+        value = roundValue(value + (Number.isInteger(params.size) ? Math.round(move) : move));
+        break;
+      }
+      
+      case 'noise':
+        yield Number.isInteger(low) && Number.isInteger(high)
+          ? Math.floor(low + random() * (high - low + 1))
+          : roundValue(low + random() * (high - low));
+        break;
+    }
+  }
+}
+
+/**
+ * Round away floating point noise, so that 0..1:0.1 gives 0.3 rather than
+ * 0.30000000000000004
+ * @param {number} value - A computed value
+ * @returns {number} - The value rounded to 9 decimal places
+ */
+function roundValue(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+/**
+ * Count the steps an AST node evaluates to without expanding it. A registered
+ * transformation without a length hook makes the count unknown, unless
+ * config.estimate asks for the length of its target instead.
+ * @param {Object} node - A node produced by parse()
+ * @param {Object} config - Parser configuration
+ * @returns {number|null} - Number of steps, or null when it is unknown
+ */
+function countSteps(node, config = {}) {
+  switch (node.type) {
+    case 'Pattern':
+    case 'Group': {
+      const childConfig = deeper(node, config, []);
+      if (!childConfig) return 0;
+      return node.body.reduce((total, child) => {
+        const count = countSteps(child, childConfig);
+        return total === null || count === null ? null : total + count;
+      }, 0);
+    }
+    
+    case 'Define':
+      if (config.variables) config.variables[node.name] = node.value;
+      return 0;
+      
+    case 'Bar':
+    case 'Meter':
+      return 0;
+      
+    case 'Reference': {
+      const value = config.variables && config.variables[node.name];
+      const childConfig = value && deeper(node, config, []);
+      return childConfig ? countSteps(value, childConfig) : 0;
+    }
+    
+    case 'BankRef': {
+      const entry = bankEntry(node.index, config);
+      const childConfig = entry && deeper(node, config, []);
+      return childConfig ? countSteps(entry.ast, childConfig) : 0;
+    }
+    
+    case 'Repeat': {
+      const length = countSteps(node.target, config);
+      return length === null ? null : length * node.count;
+    }
+      
+    case 'Alternate': {
+      if (!node.body.length) return 0;
+      const cycle = config.cycle || 0;
+      return countSteps(node.body[((cycle % node.body.length) + node.body.length) % node.body.length], config);
+    }
+    
+    case 'Euclid':
+      return node.steps;
+      
+    case 'Range':
+      return rangeLength(node.from, node.to, node.step);
+      
+    case 'Generator': {
+      const params = bindArguments(node.name, GENERATOR_PARAMS[node.name], node.args, [], node);
+      return params ? params.steps : 0;
+    }
+      
+    case 'Transform': {
+      const length = countSteps(node.target, config);
+      const params = TRANSFORM_PARAMS[node.name] && bindArguments(node.name, TRANSFORM_PARAMS[node.name], transformArgs(node), [], node);
+      if (!params || length === null) return length;
+      
+      switch (node.name) {
+        case 'mirror': return length ? length * 2 - 1 : 0;
+        case 'repeat': return length * params.times;
+        case 'interleave': return length * 2;
+      }
+      
+      // Only the transformation itself knows what it does to the length
+      if (CUSTOM_LENGTHS[node.name]) return CUSTOM_LENGTHS[node.name](length, params);
+      if (CUSTOM_TRANSFORMS[node.name]) return config.estimate ? length : null;
+      return length;
+    }
+    
+    default:
+      // Every other node is a single step
+      return 1;
+  }
+}
+
+/**
+ * Arguments of a Transform node as { name, value }, from either a glued
+ * parameter ("offset12") or an argument list ("range(36,60)")
+ * @param {Object} node - A Transform node
+ * @returns {Array} - The arguments
+ */
+function transformArgs(node) {
+  return node.args || (node.param !== null ? [{ name: null, value: node.param }] : []);
+}
+
+/**
+ * Step one level deeper into the pattern, guarding against runaway nesting
+ * and circular references
+ * @param {Object} node - The node being entered
+ * @param {Object} config - Parser configuration
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {Object|null} - Configuration for the children, or null if too deep
+ */
+function deeper(node, config, diagnostics) {
+  // Check recursion depth to prevent stack overflow
+  const depth = config.currentDepth || 0;
+  const maxDepth = config.maxRecursionDepth !== undefined ? config.maxRecursionDepth : 10;
+  
+  if (depth > maxDepth) {
+    report(diagnostics, 'error', `Maximum recursion depth (${maxDepth}) exceeded. Pattern may have circular references.`, node,
+      'flatten some nested groups, break the circular reference or raise maxRecursionDepth');
+    return null;
+  }
+  
+  return { ...config, currentDepth: depth + 1 };
+}
+
+// Parsed pattern bank entries, keyed by their source text
+const bankCache = new Map();
+
+/**
+ * Look up and parse a pattern bank entry. The bank is config.bank, or the
+ * patterns.js list used by pattern_bank.js; indices wrap around like there.
+ * @param {number} index - Entry index
+ * @param {Object} config - Parser configuration
+ * @returns {Object|null} - { ast, diagnostics }, or null if there is no bank
+ */
+function bankEntry(index, config) {
+  const bank = config.bank || loadPatternBank();
+  if (!bank.length) return null;
+  
+  const source = bank[index % bank.length].replace(/\\/g, '');
+  if (!bankCache.has(source)) {
+    const diagnostics = [];
+    bankCache.set(source, { ast: parse(source, diagnostics), diagnostics });
+  }
+  
+  return bankCache.get(source);
+}
+
+/**
+ * Load the shared pattern bank, from node.js or from PD's search path
+ * @returns {Array} - Pattern strings, empty if patterns.js cannot be found
+ */
+function loadPatternBank() {
+  for (const path of ['./patterns.js', 'patterns.js']) {
+    try {
+      return require(path).patterns;
+    } catch (e) {
+      // Try the next location
+    }
+  }
+  return [];
+}
+
+/**
+ * Distribute hits as evenly as possible over a number of steps (Bjorklund)
+ * @param {number} hits - Number of hits
+ * @param {number} steps - Number of steps
+ * @param {number} rotation - Steps to rotate the result to the left
+ * @returns {Array} - Booleans, true for a hit
+ */
+function euclideanRhythm(hits, steps, rotation = 0) {
+  // Bjorklund's pairing, kept as `count` copies of the group `head` followed
+  // by `rest` copies of `tail` so that each round costs nothing to set up
+  let head = [true];
+  let tail = [false];
+  let count = hits;
+  let rest = steps - hits;
+  
+  // Keep pairing the remainder onto the groups until at most one is left over
+  while (rest > 1 && count > 0) {
+    if (count <= rest) {
+      // Every group takes a tail, for as many rounds as there are tails for
+      while (rest > 1 && count <= rest) {
+        for (const step of tail) head.push(step);
+        rest -= count;
+      }
+    } else {
+      // More groups than tails: the paired ones lead, the others become the remainder
+      const paired = head.concat(tail);
+      tail = head;
+      [count, rest] = [rest, count - rest];
+      head = paired;
+    }
+  }
+  
+  const rhythm = [];
+  for (let i = 0; i < count; i++) for (const step of head) rhythm.push(step);
+  for (let i = 0; i < rest; i++) for (const step of tail) rhythm.push(step);
+  
+  const offset = ((rotation % steps) + steps) % steps;
+  return rhythm.slice(offset).concat(rhythm.slice(0, offset));
+}
+
+/**
+ * Merge ties into the notes before them: "60 _ _" becomes an event for 60
+ * lasting three steps followed by two "_" placeholders. Ties with no note
+ * to hold (at the start, or after a rest) become rests.
+ * @param {Array} pattern - Evaluated pattern containing "_" ties
+ * @param {Object} config - Parser configuration
+ * @returns {Array} - The pattern with durations applied
+ */
+function applyTies(pattern, config = {}) {
+  return Array.from(tieSteps(pattern, config));
+}
+
+/**
+ * Lazy version of applyTies: a held note is passed on once its ties end
+ * @param {Iterable} steps - Evaluated steps containing "_" ties
+ * @param {Object} config - Parser configuration
+ * @returns {Iterator} - The steps with durations applied
+ */
+function* tieSteps(steps, config = {}) {
+  const restValue = config.defaultRestValue !== undefined ? config.defaultRestValue : '-';
+  let held = null;
+  let ties = 0;
+  
+  for (const step of steps) {
+    if (step === TIE && held) {
+      held.step = extendStep(held.step, config);
+      ties++;
+      continue;
+    }
+    
+    if (held) {
+      yield held.step;
+      for (; ties > 0; ties--) yield TIE;
+      held = null;
+    }
+    
+    if (step === TIE) yield restValue;
+    else if (step === restValue || step === '-') yield step;
+    else held = { step };
+  }
+  
+  if (held) {
+    yield held.step;
+    for (; ties > 0; ties--) yield TIE;
+  }
+}
+
+/**
+ * Lengthen a step by one step, turning plain values into events
+ * @param {*} step - A pattern step
+ * @param {Object} config - Parser configuration
+ * @returns {*} - The step with its duration extended
+ */
+function extendStep(step, config) {
+  if (step && step.type === 'event') {
+    return { ...step, duration: step.duration + 1 };
+  }
+  
+  // Alternatives are single values, so a choice keeps its options as they are;
+  // the "_" placeholders after it still hold whichever value is picked
+  if (step && step.type === 'choice') return step;
+  
+  if (step && step.type === 'chance') {
+    return { ...step, value: extendStep(step.value, config) };
+  }
+  
+  if (step === '-' || step === config.defaultRestValue) return step;
+  
+  return {
+    type: 'event',
+    pitch: step,
+    velocity: config.defaultVelocity !== undefined ? config.defaultVelocity : 100,
+    duration: (config.defaultDuration !== undefined ? config.defaultDuration : 1) + 1
+  };
+}
+
+/**
+ * Undo extendStep for a step followed by "_" placeholders, giving the
+ * duration to write before the ties so that parsing extends it again
+ * @param {*} step - A pattern step
+ * @param {number} ties - Number of "_" placeholders after the step
+ * @returns {*} - The step with its duration shortened
+ */
+function shortenStep(step, ties) {
+  if (step && step.type === 'event') {
+    return { ...step, duration: step.duration - ties };
+  }
+  
+  if (step && step.type === 'chance') {
+    return { ...step, value: shortenStep(step.value, ties) };
+  }
+  
+  return step;
+}
+
+/**
+ * Resolve a random step (from "1|5|7" or "5?30") to a concrete value.
+ * Plain values are returned unchanged.
+ * @param {*} step - A pattern step
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @param {*} restValue - Value used when a chance step does not play
+ * @returns {*} - The resolved step
+ */
+function resolveStep(step, random = Math.random, restValue = '-') {
+  if (!step || typeof step !== 'object') return step;
+  
+  if (step.type === 'choice') {
+    const total = step.options.reduce((sum, option) => sum + option.weight, 0);
+    let pick = random() * total;
+    
+    for (const option of step.options) {
+      pick -= option.weight;
+      if (pick < 0) return resolveStep(option.value, random, restValue);
+    }
+    return resolveStep(step.options[step.options.length - 1].value, random, restValue);
+  }
   
-  // Debug logging
-  if (config.debug) {
-    console.log(`Parsing pattern: ${pattern}`);
+  if (step.type === 'chance') {
+    return random() * 100 < step.probability ? resolveStep(step.value, random, restValue) : restValue;
   }
   
-  // Initialize recursion depth counter to prevent stack overflow
-  config.currentDepth = 0;
+  if (step.type === 'subdivision') {
+    return { ...step, steps: step.steps.map(child => resolveStep(child, random, restValue)) };
+  }
   
-  return parsePatternString(pattern, config);
+  return step;
 }
 
 /**
- * Parse a pattern string into an array of values
- * @param {string} pattern - The pattern string to parse
- * @param {Object} config - Parser configuration
- * @returns {Array} - The parsed pattern
+ * Convert a single pattern step to pattern syntax, keeping random steps
+ * unresolved so they can be sent through Pd as symbols
+ * @param {*} step - A pattern step
+ * @returns {string} - The step as pattern syntax
  */
-function parsePatternString(pattern, config) {
-  let outputPattern = [];
-  
-  // Check recursion depth to prevent stack overflow
-  if (config.currentDepth > config.maxRecursionDepth) {
-    console.error(`Maximum recursion depth (${config.maxRecursionDepth}) exceeded. Pattern may have circular references.`);
-    return outputPattern;
+function stepToString(step) {
+  if (step && step.type === 'subdivision') {
+    return `[${step.steps.map(stepToString).join(' ')}]`;
   }
   
-  // Increment recursion depth
-  config.currentDepth++;
+  if (step && step.type === 'choice') {
+    return step.options
+      .map(option => `${stepToString(option.value)}${option.weight !== 1 ? `:${option.weight}` : ''}`)
+      .join('|');
+  }
   
-  try {
-    // First, handle simple patterns with no brackets for efficiency
-    if (!pattern.includes('[')) {
-      const parts = pattern.trim().split(/\s+/);
-      for (const part of parts) {
-        if (part.includes('*')) {
-          // Handle repetition (e.g. "3*4")
-          const [value, repeat] = part.split('*');
-          const repeatCount = parseInt(repeat);
-          
-          if (isNaN(repeatCount) || repeatCount <= 0) {
-            console.error(`Invalid repeat count: ${repeat}`);
-            continue;
-          }
-          
-          if (value === '-') {
-            // Repeat rest
-            for (let i = 0; i < repeatCount; i++) {
-              outputPattern.push(config.defaultRestValue);
-            }
-          } else if (!isNaN(value)) {
-            // Repeat numeric value
-            const numValue = parseInt(value);
-            for (let i = 0; i < repeatCount; i++) {
-              outputPattern.push(numValue);
-            }
-          } else {
-            console.error(`Invalid value for repetition: ${value}`);
-          }
-        } else if (part === '-') {
-          // Handle rest
-          outputPattern.push(config.defaultRestValue);
-        } else if (!isNaN(part)) {
-          // Handle numeric values
-          outputPattern.push(parseInt(part));
-        }
-      }
-    } else {
-      // Handle more complex patterns with brackets
-      outputPattern = processComplexPattern(pattern, config);
-    }
-  } catch (e) {
-    console.error(`Error parsing pattern: ${e.message}`);
+  if (step && step.type === 'chance') {
+    return `${stepToString(step.value)}?${step.probability}`;
   }
   
-  // Apply normalization if requested
-  if (config.normalizePitches) {
-    outputPattern = normalizePattern(outputPattern);
+  if (step && step.type === 'event') {
+    return `${stepToString(step.pitch)}:${plainNumber(step.velocity)}:${plainNumber(step.duration)}`;
   }
   
-  // Decrement recursion depth before returning
-  config.currentDepth--;
+  if (Array.isArray(step)) {
+    return `[${step.map(stepToString).join(',')}]`;
+  }
   
-  return outputPattern;
+  return typeof step === 'number' ? plainNumber(step) : String(step);
 }
 
 /**
- * Process a complex pattern with brackets, repetitions, and transformations
- * @param {string} pattern - The full pattern string
- * @param {Object} config - The configuration object
- * @returns {Array} - The parsed pattern array
+ * Write a number without exponent notation, which patterns cannot read:
+ * 1e-7 becomes "0.0000001"
+ * @param {number} value - The number
+ * @returns {string} - The number as a plain decimal
  */
-function processComplexPattern(pattern, config) {
-  const result = [];
-  let currentPos = 0;
-  
-  while (currentPos < pattern.length) {
-    // Skip whitespace
-    while (currentPos < pattern.length && /\s/.test(pattern[currentPos])) {
-      currentPos++;
-    }
-    
-    if (currentPos >= pattern.length) break;
-    
-    // Extract the next token
-    const { token, newPos } = extractNextToken(pattern, currentPos);
-    currentPos = newPos;
-    
-    if (!token) continue;
-    
-    // Process the token
-    try {
-      if (token === '-') {
-        // Rest
-        result.push(config.defaultRestValue);
-      } else if (!isNaN(token)) {
-        // Numeric value
-        result.push(parseInt(token));
-      } else if (token.includes('*') && !token.startsWith('[')) {
-        // Single element repetition like "3*4"
-        const [value, repeat] = token.split('*');
-        const repeatCount = parseInt(repeat);
-        
-        if (isNaN(repeatCount) || repeatCount <= 0) {
-          console.error(`Invalid repeat count: ${repeat}`);
-          continue;
-        }
-        
-        if (value === '-') {
-          // Repeat rest
-          for (let i = 0; i < repeatCount; i++) {
-            result.push(config.defaultRestValue);
-          }
-        } else if (!isNaN(value)) {
-          // Repeat numeric value
-          const numValue = parseInt(value);
-          for (let i = 0; i < repeatCount; i++) {
-            result.push(numValue);
-          }
-        } else {
-          console.error(`Invalid value for repetition: ${value}`);
-        }
-      } else if (/^\w+\[.*\]$/.test(token)) {
-        // Transformation function like "scale2[1 2 3]"
-        const transformName = token.substring(0, token.indexOf('['));
-        const content = token.substring(token.indexOf('[') + 1, token.lastIndexOf(']'));
-        
-        // Parse the transformation content
-        const contentPattern = parsePatternString(content, 
-                                { ...config, currentDepth: config.currentDepth });
-        
-        // Apply the transformation
-        const transformedPattern = transformPattern(transformName, contentPattern);
-        result.push(...transformedPattern);
-      } else if (/^\[.*\]\*\d+$/.test(token)) {
-        // Group with repetition like "[1 2 3]*4"
-        const closeBracketPos = token.lastIndexOf(']');
-        const asteriskPos = token.indexOf('*', closeBracketPos);
-        
-        const group = token.substring(1, closeBracketPos);
-        const repeat = token.substring(asteriskPos + 1);
-        
-        const repeatCount = parseInt(repeat);
-        
-        if (isNaN(repeatCount) || repeatCount <= 0) {
-          console.error(`Invalid repeat count: ${repeat}`);
-          continue;
-        }
-        
-        // Parse the group content
-        const groupPattern = parsePatternString(group, 
-                              { ...config, currentDepth: config.currentDepth });
-        
-        // Repeat the group
-        for (let i = 0; i < repeatCount; i++) {
-          result.push(...groupPattern);
-        }
-      } else if (token.startsWith('[') && token.endsWith(']')) {
-        // Simple group like "[1 2 3]"
-        const content = token.substring(1, token.length - 1);
-        const groupPattern = parsePatternString(content, 
-                              { ...config, currentDepth: config.currentDepth });
-        result.push(...groupPattern);
-      } else {
-        // Unknown token type
-        if (config.debug) {
-          console.error(`Unknown token type: ${token}`);
-        }
-      }
-    } catch (e) {
-      console.error(`Error processing token "${token}": ${e.message}`);
-    }
-  }
+function plainNumber(value) {
+  const text = String(value);
+  const match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(text);
+  if (!match) return text;
   
-  return result;
+  // String() gives the shortest digits that read back as the same number
+  const digits = match[2] + (match[3] || '');
+  const exponent = parseInt(match[4]);
+  return exponent < 0
+    ? `${match[1]}0.${'0'.repeat(-exponent - 1)}${digits}`
+    : `${match[1]}${digits}${'0'.repeat(exponent - digits.length + 1)}`;
 }
 
 /**
- * Extract the next token from a pattern string
- * @param {string} pattern - The pattern string
- * @param {number} startPos - The starting position
- * @returns {Object} - Object with the token and new position
+ * Apply a function to the value(s) of a step, leaving rests alone and
+ * reaching inside unresolved random steps, event pitches and chords
+ * @param {*} step - A pattern step
+ * @param {Function} fn - Mapping for a single value
+ * @returns {*} - The mapped step
  */
-function extractNextToken(pattern, startPos) {
-  let currentPos = startPos;
+function mapStep(step, fn) {
+  if (step === '-' || step === TIE) return step;
   
-  // Skip whitespace
-  while (currentPos < pattern.length && /\s/.test(pattern[currentPos])) {
-    currentPos++;
+  if (step && step.type === 'choice') {
+    return { ...step, options: step.options.map(option => ({ ...option, value: mapStep(option.value, fn) })) };
   }
   
-  if (currentPos >= pattern.length) {
-    return { token: null, newPos: currentPos };
+  if (step && step.type === 'chance') {
+    return { ...step, value: mapStep(step.value, fn) };
   }
   
-  // Check for different token types
-  if (pattern[currentPos] === '[') {
-    // Group or transformation
-    const transformMatch = /^([a-zA-Z]\w*)\[/.exec(pattern.substring(0, currentPos + 1));
-    let bracketDepth = 1;
-    let tokenEnd = currentPos + 1;
-    
-    // Find the matching closing bracket
-    while (tokenEnd < pattern.length && bracketDepth > 0) {
-      if (pattern[tokenEnd] === '[') {
-        bracketDepth++;
-      } else if (pattern[tokenEnd] === ']') {
-        bracketDepth--;
-      }
-      tokenEnd++;
-    }
-    
-    if (bracketDepth > 0) {
-      console.error("Unbalanced brackets in pattern");
-      return { token: null, newPos: pattern.length };
+  // Only the pitch of an event is transformed
+  if (step && step.type === 'event') {
+    return { ...step, pitch: mapStep(step.pitch, fn) };
+  }
+  
+  // Every note of a chord is transformed
+  if (Array.isArray(step)) {
+    return step.map(note => mapStep(note, fn));
+  }
+  
+  // As is every step of a subdivided group
+  if (step && step.type === 'subdivision') {
+    return { ...step, steps: step.steps.map(child => mapStep(child, fn)) };
+  }
+  
+  return fn(step);
+}
+
+/**
+ * Serialise an AST node back into pattern syntax
+ * @param {Object} node - A node produced by parse()
+ * @returns {string} - The pattern string
+ */
+function astToString(node) {
+  switch (node.type) {
+    case 'Pattern':
+      return node.body.map(astToString).join(' ');
+    case 'Group':
+      return `[${node.body.map(astToString).join(' ')}]`;
+    case 'Number':
+      return plainNumber(node.value);
+    case 'Note':
+      return node.name;
+    case 'Rest':
+      return '-';
+    case 'Tie':
+      return TIE;
+    case 'Define':
+      return `$${node.name} = ${astToString(node.value)}`;
+    case 'Reference':
+      return `$${node.name}`;
+    case 'BankRef':
+      return `@${node.index}`;
+    case 'Stack':
+      return `[${node.notes.map(astToString).join(',')}]`;
+    case 'Repeat':
+      return `${astToString(node.target)}*${node.count}`;
+    case 'Event': {
+      const fields = [node.velocity, node.duration].map(field => field !== null ? plainNumber(field) : '');
+      while (fields.length && fields[fields.length - 1] === '') fields.pop();
+      return [astToString(node.pitch), ...fields].join(':');
     }
-    
-    // Check if followed by a repetition operator
-    if (tokenEnd < pattern.length && pattern[tokenEnd] === '*') {
-      // Find the end of the repetition count
-      let repeatEnd = tokenEnd + 1;
-      while (repeatEnd < pattern.length && /\d/.test(pattern[repeatEnd])) {
-        repeatEnd++;
-      }
-      
-      // Include the repetition in the token
-      if (transformMatch) {
-        // This is a transformation function with brackets
-        return {
-          token: pattern.substring(currentPos - transformMatch[1].length, repeatEnd),
-          newPos: repeatEnd
-        };
-      } else {
-        // This is a group with repetition
-        return {
-          token: pattern.substring(currentPos, repeatEnd),
-          newPos: repeatEnd
-        };
-      }
-    } else {
-      // No repetition
-      if (transformMatch) {
-        // This is a transformation function with brackets
-        return {
-          token: pattern.substring(currentPos - transformMatch[1].length, tokenEnd),
-          newPos: tokenEnd
-        };
-      } else {
-        // This is a simple group
-        return {
-          token: pattern.substring(currentPos, tokenEnd),
-          newPos: tokenEnd
-        };
-      }
+    case 'Alternate':
+      return `<${node.body.map(astToString).join(' ')}>`;
+    case 'Choice':
+      return node.options
+        .map(option => `${astToString(option.value)}${option.weight !== 1 ? `:${option.weight}` : ''}`)
+        .join('|');
+    case 'Chance':
+      return `${astToString(node.target)}?${node.probability}`;
+    case 'Euclid': {
+      const rotation = node.rotation ? `,${node.rotation}` : '';
+      return `euclid(${node.hits},${node.steps}${rotation})${node.payload ? astToString(node.payload) : ''}`;
     }
-  } else if (/\d|^-$/.test(pattern[currentPos])) {
-    // Numeric value or rest
-    let tokenEnd = currentPos + 1;
-    
-    // If it's a number, find the end of the number
-    if (/\d/.test(pattern[currentPos])) {
-      while (tokenEnd < pattern.length && /\d/.test(pattern[tokenEnd])) {
-        tokenEnd++;
-      }
+    case 'Range':
+      return `${plainNumber(node.from)}..${plainNumber(node.to)}${node.step !== null ? `:${plainNumber(node.step)}` : ''}`;
+    case 'Generator':
+      return `${node.name}${argumentsToString(node.args)}`;
+    case 'Bar':
+      return '|';
+    case 'Meter':
+      return `meter(${node.beats}/${node.unit}${node.resolution !== 16 ? `,${node.resolution}` : ''})`;
+    case 'Transform': {
+      const separator = node.target.type !== 'Group' ? ' ' : '';
+      const args = node.args ? argumentsToString(node.args) : node.param !== null ? node.param : '';
+      return `${node.name}${args}${separator}${astToString(node.target)}`;
     }
-    
-    // Check if followed by a repetition operator
-    if (tokenEnd < pattern.length && pattern[tokenEnd] === '*') {
-      // Find the end of the repetition count
-      let repeatEnd = tokenEnd + 1;
-      while (repeatEnd < pattern.length && /\d/.test(pattern[repeatEnd])) {
-        repeatEnd++;
-      }
-      
-      return {
-        token: pattern.substring(currentPos, repeatEnd),
-        newPos: repeatEnd
-      };
-    } else {
-      return {
-        token: pattern.substring(currentPos, tokenEnd),
-        newPos: tokenEnd
-      };
+    default:
+      return '';
+  }
+}
+
+/**
+ * Serialise an argument list as "(30,seed=4)"
+ * @param {Array} args - Arguments as { name, value }
+ * @returns {string} - The argument list in parentheses
+ */
+function argumentsToString(args) {
+  return `(${args.map(arg => arg.name !== null ? `${arg.name}=${arg.value}` : arg.value).join(',')})`;
+}
+
+/**
+ * Rewrite a pattern string in canonical spacing and notation, e.g.
+ * "scramble [ 1 2 3 ]*3" becomes "scramble[1 2 3]*3". A pattern with
+ * problems (or unknown transformations) is returned unchanged, and so is
+ * one with comments, which formatting would lose.
+ * @param {string} source - The pattern string
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @returns {string} - The formatted pattern
+ */
+function formatPattern(source, diagnostics) {
+  const problems = [];
+  const tokens = tokenize(source);
+  if (tokens.comments.length) return source;
+  const ast = parse(tokens, problems);
+  
+  // Unknown names are only found when evaluating; "set [1 2]" is not a pattern
+  for (const node of findTransforms(ast)) {
+    if (!TRANSFORM_PARAMS[node.name]) {
+      problems.push({ severity: 'error', message: `Unknown transformation: ${node.name}`, start: node.start, end: node.end, fix: null });
     }
-  } else {
-    // Single character token (likely a rest)
-    return {
-      token: pattern[currentPos],
-      newPos: currentPos + 1
-    };
   }
+  
+  problems.forEach(d => report(diagnostics, d.severity, d.message, d, d.fix));
+  return problems.length ? source : astToString(ast);
+}
+
+/**
+ * Collect the Transform nodes anywhere in a syntax tree
+ * @param {Object|Array} node - A node produced by parse(), or a list of them
+ * @param {Array} [found] - Transform nodes collected so far
+ * @returns {Array} - The Transform nodes
+ */
+function findTransforms(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findTransforms(child, found));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'Transform') found.push(node);
+    Object.values(node).forEach(child => findTransforms(child, found));
+  }
+  return found;
 }
 
 /**
  * Apply a transformation to a pattern
- * @param {string} transformName - Name of the transformation
+ * @param {string} transformName - Name of the transformation, e.g. "offset12" or "range(36,60)"
  * @param {Array} pattern - The pattern to transform
+ * @param {Function} [random] - Source of random numbers in [0, 1), e.g. from createRandom()
  * @returns {Array} - The transformed pattern
  */
-function transformPattern(transformName, pattern) {
-  // Extract any numeric parameters from the transform name
-  const paramMatch = transformName.match(/([a-z]+)(\d*)/);
+function transformPattern(transformName, pattern, random = Math.random) {
+  // Read the name and its parameters with the pattern grammar
+  const node = parse(`${transformName}[]`, []).body[0];
   
-  if (!paramMatch) {
+  if (!node || node.type !== 'Transform' || node.target.type !== 'Group') {
     console.error(`Invalid transformation: ${transformName}`);
     return pattern;
   }
   
-  const transform = paramMatch[1];
-  const param = paramMatch[2] ? parseInt(paramMatch[2]) : null;
+  return applyTransform(node.name, transformArgs(node), pattern, undefined, null, random);
+}
+
+/**
+ * Apply a named transformation with already parsed arguments
+ * @param {string} transform - Name of the transformation without parameter
+ * @param {Array} args - Arguments as { name, value }; name is null for positional ones
+ * @param {Array} pattern - The pattern to transform
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @param {Object} [range] - Source range of the transformation, for diagnostics
+ * @param {Function} [random] - Source of random numbers in [0, 1)
+ * @returns {Array} - The transformed pattern
+ */
+function applyTransform(transform, args, pattern, diagnostics, range, random = Math.random) {
+  if (!TRANSFORM_PARAMS[transform]) {
+    const suggestion = suggestName(transform);
+    report(diagnostics, 'error', `Unknown transformation: ${transform}`, range,
+      suggestion ? `did you mean "${suggestion}"?` : `use one of: ${KNOWN_TRANSFORMS.join(', ')}`);
+    return pattern;
+  }
+  
+  const params = bindArguments(transform, TRANSFORM_PARAMS[transform], args, diagnostics, range);
+  if (!params) return pattern;
+  
+  // A seed argument makes this transformation repeatable on its own
+  if (params.seed !== undefined && params.seed !== null) {
+    random = createRandom(params.seed);
+  }
+  
+  if (CUSTOM_TRANSFORMS[transform]) {
+    return applyCustomTransform(transform, params, pattern, diagnostics, range, random);
+  }
   
   switch (transform) {
     case 'scramble':
       // Randomize the order of the pattern
-      return shuffleArray([...pattern]); // Create a copy to avoid modifying the original
+      return shuffleArray([...pattern], random); // Create a copy to avoid modifying the original
       
     case 'invert':
-      if (param === null) {
-        console.error("invert transformation requires a numeric parameter");
-        return pattern;
-      }
       // Invert notes around a pivot value
-      return pattern.map(note => note === '-' ? '-' : param * 2 - note);
+      return pattern.map(step => mapStep(step, note => params.pivot * 2 - note));
       
     case 'scale':
-      if (param === null) {
-        console.error("scale transformation requires a numeric parameter");
-        return pattern;
-      }
       // Multiply all notes by a value
-      return pattern.map(note => note === '-' ? '-' : note * param);
+      return pattern.map(step => mapStep(step, note => note * params.factor));
       
     case 'offset':
-      if (param === null) {
-        console.error("offset transformation requires a numeric parameter");
-        return pattern;
-      }
       // Add a value to all notes
-      return pattern.map(note => note === '-' ? '-' : note + param);
+      return pattern.map(step => mapStep(step, note => note + params.amount));
       
     case 'mirror':
       // Mirror the pattern
       return [...pattern, ...pattern.slice(0, -1).reverse()];
       
     case 'repeat':
-      if (param === null) {
-        console.error("repeat transformation requires a numeric parameter");
-        return pattern;
-      }
       // Repeat each note multiple times
-      return pattern.flatMap(note => Array(param).fill(note));
+      return pattern.flatMap(note => Array(params.times).fill(note));
       
     case 'quantize':
-      if (param === null) {
-        console.error("quantize transformation requires a numeric parameter");
-        return pattern;
-      }
       // Round notes to the nearest multiple of a value
-      return pattern.map(note => note === '-' ? '-' : Math.round(note / param) * param);
+      return pattern.map(step => mapStep(step, note => Math.round(note / params.step) * params.step));
       
     case 'reverse':
       // Reverse the pattern
@@ -432,25 +2308,233 @@ function transformPattern(transformName, pattern) {
       
     case 'rotate':
       // Rotate the pattern by a number of steps
-      const steps = param || 1;
       const len = pattern.length;
       if (len <= 1) return pattern;
-      const normalizedSteps = ((steps % len) + len) % len; // Handle negative steps
+      const normalizedSteps = ((params.steps % len) + len) % len; // Handle negative steps
       return [...pattern.slice(normalizedSteps), ...pattern.slice(0, normalizedSteps)];
       
     case 'sparse':
       // Replace random notes with rests based on a probability
-      const probability = param ? param / 100 : 0.5;
-      return pattern.map(note => Math.random() < probability ? '-' : note);
+      const probability = params.probability / 100;
+      return pattern.map(note => random() < probability ? '-' : note);
       
     case 'interleave':
       // Interleave with rests
       return pattern.flatMap(note => [note, '-']);
+      
+    case 'range': {
+      // Stretch the values so the lowest becomes min and the highest max
+      let low = Infinity;
+      let high = -Infinity;
+      pattern.forEach(step => mapStep(step, note => {
+        low = Math.min(low, note);
+        high = Math.max(high, note);
+      }));
+      const span = high - low;
+      return pattern.map(step => mapStep(step, note =>
+        span === 0 ? params.min : params.min + (note - low) * (params.max - params.min) / span));
+    }
     
-    default:
-      console.error(`Unknown transformation: ${transform}`);
-      return pattern;
+    case 'inkey': {
+      // Snap values to the nearest note of the scale, the lower one on a tie
+      const intervals = findScale(params.scale, diagnostics, range);
+      if (!intervals) return pattern;
+      const root = typeof params.root === 'string' ? noteSemitone(params.root[0], params.root.slice(1)) : params.root;
+      const inScale = pitch => intervals.includes((((pitch - root) % 12) + 12) % 12);
+      return pattern.map(step => mapStep(step, note => {
+        let nearest = null;
+        for (let pitch = Math.floor(note) - 12; pitch <= Math.ceil(note) + 12; pitch++) {
+          if (inScale(pitch) && (nearest === null || Math.abs(note - pitch) < Math.abs(note - nearest))) nearest = pitch;
+        }
+        return nearest;
+      }));
+    }
+    
+    case 'degrees': {
+      // Scale degrees counted from 0 at the root; 7 in a seven-note scale is the octave
+      const intervals = findScale(params.scale, diagnostics, range);
+      if (!intervals) return pattern;
+      return pattern.map(step => mapStep(step, degree => {
+        const index = Math.round(degree);
+        const octave = Math.floor(index / intervals.length);
+        return params.root + octave * 12 + intervals[index - octave * intervals.length];
+      }));
+    }
+  }
+}
+
+/**
+ * Look up a scale by name for inkey and degrees
+ * @param {string} name - Scale name such as "minor" or "dorian"
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @param {Object} [range] - Source range of the transformation, for diagnostics
+ * @returns {Array|null} - Semitones above the root, or null if there is no such scale
+ */
+function findScale(name, diagnostics, range) {
+  if (SCALES[name]) return SCALES[name];
+  
+  const suggestion = suggestName(name, Object.keys(SCALES));
+  report(diagnostics, 'error', `Unknown scale: ${name}`, range,
+    suggestion ? `did you mean "${suggestion}"?` : `use one of: ${Object.keys(SCALES).join(', ')}`);
+  return null;
+}
+
+/**
+ * Add a scale for inkey and degrees, e.g. registerScale('hirajoshi', [0, 2, 3, 7, 8])
+ * @param {string} name - Scale name (letters and underscores only)
+ * @param {Array} intervals - Semitones above the root, each from 0 to 11
+ */
+function registerScale(name, intervals) {
+  if (typeof name !== 'string' || !/^[a-zA-Z_]+$/.test(name)) {
+    throw new Error(`Invalid scale name: ${name}`);
+  }
+  if (!Array.isArray(intervals) || !intervals.length || !intervals.every(step => Number.isInteger(step) && step >= 0 && step < 12)) {
+    throw new Error(`Scale ${name} needs whole numbers of semitones from 0 to 11`);
+  }
+  
+  SCALES[name] = [...new Set(intervals)].sort((a, b) => a - b);
+}
+
+/**
+ * Add a transformation to the pattern language, e.g. stutter(2)[1 2 3].
+ * Parameters are described like the built-in ones: { name, required, default,
+ * integer, min, max, nonZero }, or just a name.
+ * @param {string} name - Transformation name (letters and underscores only)
+ * @param {Function} fn - (pattern, params, context) => pattern; params holds the
+ *   arguments by name, context has random(), mapStep() and report(message, fix)
+ * @param {Object} [options] - { params: [...], length } where length is
+ *   (length, params) => length, the number of steps the transformation makes
+ *   of a group of that many, or the most it can make; without it the length
+ *   of a stream is unknown and the step budget is only checked afterwards
+ */
+function registerTransform(name, fn, options = {}) {
+  if (typeof name !== 'string' || !/^[a-zA-Z_]+$/.test(name) || name === 'euclid' || GENERATOR_PARAMS[name]) {
+    throw new Error(`Invalid transformation name: ${name}`);
+  }
+  if (TRANSFORM_PARAMS[name] && !CUSTOM_TRANSFORMS[name]) {
+    throw new Error(`Cannot replace the built-in transformation: ${name}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Transformation ${name} needs a function`);
+  }
+  if (options.length !== undefined && typeof options.length !== 'function') {
+    throw new Error(`The length of ${name} needs to be a function`);
+  }
+  
+  const params = (options.params || []).map(param => typeof param === 'string' ? { name: param } : param);
+  if (!params.every(param => param && typeof param.name === 'string')) {
+    throw new Error(`Every parameter of ${name} needs a name`);
+  }
+  
+  if (!TRANSFORM_PARAMS[name]) KNOWN_TRANSFORMS.push(name);
+  TRANSFORM_PARAMS[name] = params;
+  CUSTOM_TRANSFORMS[name] = fn;
+  if (options.length) CUSTOM_LENGTHS[name] = options.length;
+  else delete CUSTOM_LENGTHS[name];
+}
+
+/**
+ * Run a transformation added with registerTransform(), turning anything it
+ * throws or a result that is not an array into a diagnostic
+ * @param {string} transform - Name of the transformation
+ * @param {Object} params - Argument values by parameter name
+ * @param {Array} pattern - The pattern to transform
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @param {Object} [range] - Source range of the transformation, for diagnostics
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Array} - The transformed pattern, or the original one if it failed
+ */
+function applyCustomTransform(transform, params, pattern, diagnostics, range, random) {
+  const context = {
+    random,
+    mapStep,
+    report: (message, fix) => report(diagnostics, 'warning', `${transform}: ${message}`, range, fix)
+  };
+  
+  try {
+    const result = CUSTOM_TRANSFORMS[transform]([...pattern], params, context);
+    if (Array.isArray(result)) return result;
+    report(diagnostics, 'error', `Transformation ${transform} did not return a pattern`, range, 'return an array from the transformation');
+  } catch (e) {
+    report(diagnostics, 'error', `Transformation ${transform} failed: ${e.message}`, range, null);
+  }
+  
+  return pattern;
+}
+
+/**
+ * Match the arguments of a transformation to its parameters, checking the
+ * number of arguments, their names and their values
+ * @param {string} transform - Name of the transformation
+ * @param {Array} params - Parameter descriptions, see TRANSFORM_PARAMS
+ * @param {Array} args - Arguments as { name, value, start?, end? }
+ * @param {Array} [diagnostics] - Array collecting diagnostics; logged when omitted
+ * @param {Object} [range] - Source range of the transformation, for diagnostics
+ * @returns {Object|null} - Argument values by parameter name, or null if they are invalid
+ */
+function bindArguments(transform, params, args, diagnostics, range) {
+  const usage = params.length ? `write ${transform}(${params.map(param => param.name).join(', ')})` : `write ${transform}[...]`;
+  const values = {};
+  let position = 0;
+  
+  for (const arg of args) {
+    const where = arg.start !== undefined ? arg : range;
+    const param = arg.name === null ? params[position++] : params.find(candidate => candidate.name === arg.name);
+    
+    if (!param) {
+      const message = arg.name !== null ? `${transform} has no parameter "${arg.name}"`
+        : params.length ? `${transform} takes at most ${params.length} argument${params.length > 1 ? 's' : ''}, got ${args.length}`
+        : `${transform} takes no arguments`;
+      report(diagnostics, 'error', message, where, usage);
+      return null;
+    }
+    if (param.name in values) {
+      report(diagnostics, 'error', `${transform} got "${param.name}" more than once`, where, usage);
+      return null;
+    }
+    
+    const problem = checkArgument(param, arg.value);
+    if (problem) {
+      report(diagnostics, 'error', `${transform} ${problem}`, where, usage);
+      return null;
+    }
+    values[param.name] = arg.value;
+  }
+  
+  for (const param of params) {
+    if (param.name in values) continue;
+    
+    if (param.required) {
+      const message = params.length === 1 ? `${transform} transformation requires a numeric parameter`
+        : `${transform} requires ${params.filter(other => other.required).length} arguments, got ${args.length}`;
+      report(diagnostics, 'error', message, range,
+        params.length === 1 ? `add a number to the name, e.g. ${transform}2` : usage);
+      return null;
+    }
+    values[param.name] = param.default !== undefined ? param.default : null;
+  }
+  
+  return values;
+}
+
+/**
+ * Check a single transformation argument against its parameter description
+ * @param {Object} param - { name, type, integer, min, max, nonZero }; type is
+ *   'name' for words, 'pitch' for a note name or number, numbers otherwise
+ * @param {*} value - The argument value
+ * @returns {string|null} - What is wrong with the value, or null if it is fine
+ */
+function checkArgument(param, value) {
+  if (param.type === 'name') return typeof value === 'string' ? null : `parameter "${param.name}" must be a name`;
+  if (param.type === 'pitch' && typeof value === 'string') {
+    return /^[a-gA-G](#{1,2}|b{1,2})?$/.test(value) ? null : `parameter "${param.name}" must be a note name such as c or f#`;
   }
+  if (typeof value !== 'number') return `parameter "${param.name}" must be a number`;
+  if (param.integer && !Number.isInteger(value)) return `parameter "${param.name}" must be a whole number`;
+  if (param.nonZero && value === 0) return `parameter "${param.name}" cannot be 0`;
+  if (param.min !== undefined && value < param.min) return `parameter "${param.name}" must be at least ${param.min}`;
+  if (param.max !== undefined && value > param.max) return `parameter "${param.name}" must be at most ${param.max}`;
+  return null;
 }
 
 /**
@@ -465,7 +2549,12 @@ function normalizePattern(pattern) {
       return '-';
     }
     
-    const parsed = parseInt(item);
+    // Chords, events and random steps are already structured
+    if (typeof item === 'object') {
+      return item;
+    }
+    
+    const parsed = parseFloat(item);
     return isNaN(parsed) ? item : parsed;
   });
 }
@@ -473,20 +2562,166 @@ function normalizePattern(pattern) {
 /**
  * Convert a pattern array back to a string representation
  * @param {Array} pattern - The pattern array
+ * @param {Object} options - { noteNames: false, preferFlats: false, middleCOctave: 4, compact: false }
  * @returns {string} - String representation of the pattern
  */
-function patternToString(pattern) {
+function patternToString(pattern, options = {}) {
   if (!Array.isArray(pattern)) {
     console.error("patternToString requires an array input");
     return "";
   }
   
-  return pattern.join(' ');
+  // Tied steps already carry their full duration; a compact string is meant
+  // to be parsed again, so it gives the duration from before the ties
+  const untied = !options.compact ? pattern : pattern.map((step, i) => {
+    let ties = 0;
+    while (pattern[i + 1 + ties] === TIE) ties++;
+    return ties ? shortenStep(step, ties) : step;
+  });
+  
+  // Whole numbers become note names, everything else is left as is
+  const steps = options.noteNames
+    ? untied.map(step => stepToString(mapStep(step, value => midiToNoteName(value, options) || value)))
+    : untied.map(stepToString);
+  
+  return options.compact ? compressSteps(steps) : steps.join(' ');
+}
+
+/**
+ * Convert a pattern array to the shortest string that parses back to it,
+ * using repeats ("60*4", "-*3") and repeated groups ("[1 2 3]*16").
+ * Random steps only round-trip when parsed with deferRandom.
+ * @param {Array} pattern - The pattern array
+ * @param {Object} options - Same options as patternToString
+ * @returns {string} - Compact string representation of the pattern
+ */
+function compressPattern(pattern, options = {}) {
+  return patternToString(pattern, { ...options, compact: true });
+}
+
+// Longest run of steps compressPattern searches for nested repeats. Shorter
+// patterns get the shortest possible string; longer ones are compressed in
+// windows, plus repeats of a phrase of up to half this length.
+const COMPRESS_WINDOW = 64;
+
+/**
+ * Find the shortest combination of repeats and groups for a list of step strings
+ * @param {Array} steps - Steps already converted with stepToString
+ * @returns {string} - Compact pattern string
+ */
+function compressSteps(steps) {
+  const n = steps.length;
+  const window = Math.min(COMPRESS_WINDOW, n);
+  
+  // matches[p][i]: how many steps from i on equal the step p places later
+  const matches = [null];
+  for (let p = 1; p <= window; p++) {
+    const run = new Array(n + 1).fill(0);
+    for (let i = n - p - 1; i >= 0; i--) {
+      run[i] = steps[i] === steps[i + p] ? run[i + 1] + 1 : 0;
+    }
+    matches.push(run);
+  }
+  
+  // best[i][length]: cheapest encoding of the steps i .. i + length, as
+  // { cost, split } for two parts or { cost, period, count } for a repeat
+  const best = steps.map(() => []);
+  for (let length = 1; length <= window; length++) {
+    for (let i = 0; i + length <= n; i++) {
+      let choice = { cost: steps[i].length };
+      
+      if (length > 1) {
+        choice = { cost: Infinity };
+        for (let split = 1; split < length; split++) {
+          const cost = best[i][split].cost + 1 + best[i + split][length - split].cost;
+          if (cost < choice.cost) choice = { cost, split };
+        }
+        
+        for (let period = 1; period <= length / 2; period++) {
+          if (length % period !== 0 || matches[period][i] < length - period) continue;
+          const cost = repeatCost(best[i][period].cost, period, length / period);
+          if (cost < choice.cost) choice = { cost, period, count: length / period };
+        }
+      }
+      
+      best[i][length] = choice;
+    }
+  }
+  
+  // Join the windows, also trying repeats that run past the window size
+  const total = [{ cost: -1 }];
+  for (let end = 1; end <= n; end++) total.push({ cost: Infinity });
+  
+  for (let i = 0; i < n; i++) {
+    for (let length = 1; length <= window && i + length <= n; length++) {
+      const cost = total[i].cost + 1 + best[i][length].cost;
+      if (cost < total[i + length].cost) total[i + length] = { cost, start: i, length };
+    }
+    
+    for (let period = 1; period <= window / 2; period++) {
+      const count = Math.floor((matches[period][i] + period) / period);
+      if (period * count <= window) continue;
+      const cost = total[i].cost + 1 + repeatCost(best[i][period].cost, period, count);
+      if (cost < total[i + period * count].cost) total[i + period * count] = { cost, start: i, period, count };
+    }
+  }
+  
+  const parts = [];
+  for (let end = n; end > 0; end = total[end].start) {
+    const choice = total[end];
+    parts.unshift(choice.period
+      ? repeatString(steps, best, choice.start, choice.period, choice.count)
+      : encodeSteps(steps, best, choice.start, choice.length));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Length of a repeated phrase: "x*4" for a single step, "[x y]*4" otherwise
+ * @param {number} unitCost - Length of the phrase's own encoding
+ * @param {number} period - Steps in the phrase
+ * @param {number} count - Number of repetitions
+ * @returns {number} - Length of the repeat
+ */
+function repeatCost(unitCost, period, count) {
+  return unitCost + (period > 1 ? 2 : 0) + 1 + String(count).length;
+}
+
+/**
+ * Build the string for steps i .. i + length from the choices in compressSteps
+ * @param {Array} steps - Step strings
+ * @param {Array} best - Cheapest encodings found by compressSteps
+ * @param {number} i - First step
+ * @param {number} length - Number of steps
+ * @returns {string} - Pattern string for those steps
+ */
+function encodeSteps(steps, best, i, length) {
+  const choice = best[i][length];
+  if (choice.period) return repeatString(steps, best, i, choice.period, choice.count);
+  if (choice.split) {
+    return `${encodeSteps(steps, best, i, choice.split)} ${encodeSteps(steps, best, i + choice.split, length - choice.split)}`;
+  }
+  return steps[i];
+}
+
+/**
+ * Build the string for a phrase of steps repeated a number of times
+ * @param {Array} steps - Step strings
+ * @param {Array} best - Cheapest encodings found by compressSteps
+ * @param {number} i - First step of the phrase
+ * @param {number} period - Steps in the phrase
+ * @param {number} count - Number of repetitions
+ * @returns {string} - "x*count" or "[...]*count"
+ */
+function repeatString(steps, best, i, period, count) {
+  const unit = encodeSteps(steps, best, i, period);
+  return `${period > 1 ? `[${unit}]` : unit}*${count}`;
 }
 
 /**
  * Create a random pattern with specified parameters
- * @param {Object} options - Options for random pattern generation
+ * @param {Object} options - Options for random pattern generation; pass seed
+ *   or random to make the result reproducible
  * @returns {Array} - The generated random pattern
  */
 function createRandomPattern(options = {}) {
@@ -496,15 +2731,18 @@ function createRandomPattern(options = {}) {
     maxValue: 99,
     restProbability: 0.3,
     groupProbability: 0.2,
-    repetitionProbability: 0.4
+    repetitionProbability: 0.4,
+    seed: null,
+    random: null
   };
   
   const config = {...defaults, ...options};
+  const random = config.random || (config.seed !== null ? createRandom(config.seed) : Math.random);
   const result = [];
   
   for (let i = 0; i < config.length; i++) {
     // Decide if we're adding a rest, a note, or a group
-    const rand = Math.random();
+    const rand = random();
     
     if (rand < config.restProbability) {
       // Add a rest
@@ -512,20 +2750,20 @@ function createRandomPattern(options = {}) {
     } else if (rand < config.restProbability + config.groupProbability) {
       // Add a group (skip this for now if we're close to the end)
       if (i < config.length - 3) {
-        const groupLength = Math.floor(Math.random() * 3) + 2; // 2-4 elements
+        const groupLength = Math.floor(random() * 3) + 2; // 2-4 elements
         const group = [];
         
         for (let j = 0; j < groupLength; j++) {
-          if (Math.random() < config.restProbability) {
+          if (random() < config.restProbability) {
             group.push('-');
           } else {
-            group.push(Math.floor(Math.random() * (config.maxValue - config.minValue + 1)) + config.minValue);
+            group.push(Math.floor(random() * (config.maxValue - config.minValue + 1)) + config.minValue);
           }
         }
         
         // Maybe repeat the group
-        if (Math.random() < config.repetitionProbability) {
-          const repeatCount = Math.floor(Math.random() * 3) + 2; // 2-4 repetitions
+        if (random() < config.repetitionProbability) {
+          const repeatCount = Math.floor(random() * 3) + 2; // 2-4 repetitions
           for (let r = 0; r < repeatCount; r++) {
             result.push(...group);
           }
@@ -537,15 +2775,15 @@ function createRandomPattern(options = {}) {
         i += groupLength - 1;
       } else {
         // Just add a note if we're close to the end
-        result.push(Math.floor(Math.random() * (config.maxValue - config.minValue + 1)) + config.minValue);
+        result.push(Math.floor(random() * (config.maxValue - config.minValue + 1)) + config.minValue);
       }
     } else {
       // Add a note
-      const value = Math.floor(Math.random() * (config.maxValue - config.minValue + 1)) + config.minValue;
+      const value = Math.floor(random() * (config.maxValue - config.minValue + 1)) + config.minValue;
       
       // Maybe repeat this note
-      if (Math.random() < config.repetitionProbability) {
-        const repeatCount = Math.floor(Math.random() * 3) + 2; // 2-4 repetitions
+      if (random() < config.repetitionProbability) {
+        const repeatCount = Math.floor(random() * 3) + 2; // 2-4 repetitions
         for (let r = 0; r < repeatCount; r++) {
           result.push(value);
         }
@@ -560,14 +2798,32 @@ function createRandomPattern(options = {}) {
   return result;
 }
 
+/**
+ * Create a seeded random number generator (mulberry32). The same seed always
+ * gives the same sequence, unlike Math.random.
+ * @param {number} seed - Any number; only the integer part is used
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = Math.floor(Number(seed) || 0) >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Shuffle an array (Fisher-Yates algorithm)
  * @param {Array} array - The array to shuffle
+ * @param {Function} [random] - Source of random numbers in [0, 1)
  * @returns {Array} - The shuffled array
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
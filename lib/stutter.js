@@ -0,0 +1,40 @@
+/**
+ * Example transformation module for mixtape.
+ * Send "load stutter.js" to a mixtape object, then use the transformations
+ * in patterns: stutter(3)[1 2 3], stutter(2, chance=50)[1 - 2], humanize(5)[60 62]
+ */
+
+module.exports = {
+  // Retrigger steps a number of times, each with a chance in percent
+  stutter: {
+    params: [
+      { name: 'times', default: 2, integer: true, min: 1 },
+      { name: 'chance', default: 100, min: 0, max: 100 }
+    ],
+    // The most steps it can make, which is what the step budget counts
+    length: function (length, params) {
+      return length * params.times
+    },
+    transform: function (pattern, params, context) {
+      return pattern.flatMap(function (step) {
+        return context.random() * 100 < params.chance ? Array(params.times).fill(step) : [step]
+      })
+    }
+  },
+
+  // Nudge every value by a random whole amount of at most "amount"
+  humanize: {
+    params: [{ name: 'amount', default: 1, min: 0 }],
+    // Keeps the length, so streams of it know when each cycle ends
+    length: function (length) {
+      return length
+    },
+    transform: function (pattern, params, context) {
+      return pattern.map(function (step) {
+        return context.mapStep(step, function (value) {
+          return value + Math.round((context.random() * 2 - 1) * params.amount)
+        })
+      })
+    }
+  }
+}
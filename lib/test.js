@@ -1,5 +1,9 @@
 
-const parsePattern = require('./parser.js');
+const { parsePattern, streamPattern, countSteps, tokenize, parse, evaluate, astToString, patternToString, resolveStep, stepToString, createRandom, createRandomPattern, transformPattern, registerTransform, registerScale, compressPattern, formatPattern } = require('./parser2_final.js');
+const { formatPatch } = require('./format-patterns.js');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
 
 // Simple assertion function
 function assertEqual(actual, expected, message) {
@@ -23,6 +27,22 @@ function assertPermutation(actual, expected, message) {
     }
 }
 
+// Load a pdjs script (mixtape.js, mseq2.js) with stand-ins for the globals
+// Pd provides, whose require only loads other scripts; what it sends out is
+// collected in .output as [outlet, value]
+function loadPdjs(file) {
+    const output = [];
+    const sandbox = {
+        require: name => require(path.join(__dirname, name)),
+        outlet: (n, value) => output.push([n, value]),
+        post: message => output.push(['post', message]),
+        inlet: 0
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), sandbox);
+    sandbox.output = output;
+    return sandbox;
+}
+
 // Test cases
 function runTests() {
     assertEqual(parsePattern('- - -*3 - 5 - - - 6*7 7 - - 8*3 -'), ['-', '-', '-', '-', '-', '-', 5, '-', '-', '-', 6, 6, 6, 6, 6, 6, 6, 7, '-', '-', 8, 8, 8, '-'], 'Complex pattern with rests and repeats');
@@ -49,8 +69,15 @@ function runTests() {
     assertEqual(parsePattern('scale2 [60 62] mirror [1 2]'), [120, 124, 1, 2, 1], 'Scale and mirror');
 
     // Offset and scramble: Check if the result is a permutation of [6, 7, 8]
-    //const offsetScrambleResult = parsePattern('offset5 scramble [1 2 3]');
-    //assertPermutation(offsetScrambleResult, [6, 7, 8], 'Offset and scramble');
+    const offsetScrambleResult = parsePattern('offset5 scramble [1 2 3]');
+    assertPermutation(offsetScrambleResult, [6, 7, 8], 'Offset and scramble');
+
+    // Chained transformations apply right to left and bind tighter than *N
+    assertEqual(parsePattern('reverse offset12 [60 62 64]'), [76, 74, 72], 'Chained transformations');
+    assertEqual(parsePattern('reverse offset12 mirror[60 62 64 65]'), [72, 74, 76, 77, 76, 74, 72].reverse(), 'Three chained transformations');
+    assertEqual(parsePattern('offset1 reverse[1 2]*2'), [3, 2, 3, 2], 'Repetition applies to the whole chain');
+    assertEqual(parsePattern('offset1 [reverse[1 2]*2] 9'), [3, 2, 3, 2, 9], 'Bracketed repetition inside a transformation');
+    assertEqual(astToString(parse('reverse  offset12 [60 62]*2')), 'reverse offset12[60 62]*2', 'Re-serialise chained transformations');
 
     assertEqual(parsePattern('invert50 [60 62] repeat2 [1 2]'), [40, 38, 1, 1, 2, 2], 'Invert and repeat within');
 
@@ -58,6 +85,329 @@ function runTests() {
     const quantizeScrambleResult = parsePattern('quantize10 [63 67] scramble [1 2]');
     assertEqual(quantizeScrambleResult.slice(0, 2), [60, 70], 'Quantize part');
     assertPermutation(quantizeScrambleResult.slice(2), [1, 2], 'Scramble part');
+
+    // Tokenizer, AST and evaluator
+    assertEqual(tokenize('[1 -]*2').map(t => [t.type, t.start, t.end]), [['lbracket', 0, 1], ['number', 1, 2], ['rest', 3, 4], ['rbracket', 4, 5], ['star', 5, 6], ['number', 6, 7]], 'Tokens carry source ranges');
+    const ast = parse('60 scale2[1 2]*3');
+    assertEqual(ast.body.map(n => [n.type, n.start, n.end]), [['Number', 0, 2], ['Repeat', 3, 16]], 'Top-level nodes carry source ranges');
+    assertEqual([ast.body[1].target.type, ast.body[1].target.name, ast.body[1].target.param, ast.body[1].target.target.start], ['Transform', 'scale', 2, 9], 'Transform node with parameter and group');
+    assertEqual(evaluate(ast), [60, 2, 4, 2, 4, 2, 4], 'Evaluate AST');
+    assertEqual(astToString(parse('[ 1 2 ]*3 - scale2 [60 62]')), '[1 2]*3 - scale2[60 62]', 'Re-serialise AST');
+
+    // Signed and fractional numbers
+    assertEqual(parsePattern('-3 0.5 +7 - -.25'), [-3, 0.5, 7, '-', -0.25], 'Signed and fractional steps');
+    assertEqual(parsePattern('- -1 -*2 1.5*2'), ['-', -1, '-', '-', 1.5, 1.5], 'Bare dash stays a rest');
+    assertEqual(parsePattern('offset-12[60 - 62]'), [48, '-', 50], 'Negative transformation parameter');
+    assertEqual(parsePattern('scale0.5[60 - 10] invert-1[1]'), [30, '-', 5, -3], 'Fractional and negative parameters');
+    assertEqual(parsePattern('rotate-1[1 2 3]'), [3, 1, 2], 'Negative rotation');
+    assertEqual(astToString(parse('offset-12 [+7 0.50]')), 'offset-12[7 0.5]', 'Re-serialise signed numbers');
+    assertEqual(parsePattern('1*2.5', { diagnostics: true }).diagnostics.map(d => d.message), ['Invalid repeat count'], 'Fractional repeat count is rejected');
+    // Note names
+    assertEqual(parsePattern('c4 eb3 f#2 - c-1 Bb3*2'), [60, 51, 42, '-', 0, 58, 58], 'Note names resolve to MIDI numbers');
+    assertEqual(parsePattern('c3 a3', { middleCOctave: 3 }), [60, 69], 'Configurable middle C');
+    assertEqual(parsePattern('offset12[c4 e4]'), [72, 76], 'Transformations apply to note names');
+    assertEqual(astToString(parse('[c4 eb3]*2')), '[c4 eb3]*2', 'Re-serialise note names');
+    assertEqual(patternToString([60, 61, '-', 62.5], { noteNames: true }), 'c4 c#4 - 62.5', 'Render note names');
+    assertEqual(patternToString([58, 0], { noteNames: true, preferFlats: true, middleCOctave: 3 }), 'bb2 c-2', 'Render flats with middle C at C3');
+    // Euclidean rhythms
+    assertEqual(parsePattern('euclid(3,8)'), [1, '-', '-', 1, '-', '-', 1, '-'], 'Euclidean rhythm');
+    assertEqual(parsePattern('e5,8[36]'), [36, '-', 36, 36, '-', 36, 36, '-'], 'Compact Euclidean rhythm with a hit value');
+    assertEqual(parsePattern('e3,8,2[36]'), ['-', 36, '-', '-', 36, '-', 36, '-'], 'Rotated Euclidean rhythm');
+    assertEqual(parsePattern('euclid(2,4)[36 38]*2'), [36, '-', 38, '-', 36, '-', 38, '-'], 'Hit values cycle and repeat');
+    assertEqual(parsePattern('offset1 e2,4[36] e3'), [37, '-', 37, '-', 52], 'Transformed Euclidean rhythm next to a note');
+    assertEqual(astToString(parse('e3,8,2[36]*2')), 'euclid(3,8,2)[36]*2', 'Re-serialise Euclidean rhythm');
+    assertEqual(parsePattern('[e4,64] [ e4,64,67 ] [e1,2 3]'), [[64, 64], [64, 64, 67], 1, '-', 3], 'Chord starting with e, next to a rhythm in a group');
+    const sparseHits = parsePattern('e2,300000', { diagnostics: true, timeLimit: 1000 });
+    assertEqual([sparseHits.events.length, sparseHits.events.filter(step => step === 1).length, sparseHits.diagnostics], [300000, 2, []], 'Long Euclidean rhythm within the time limit');
+    assertEqual(parsePattern('euclid(3) 1', { diagnostics: true }).diagnostics.map(d => d.message), ['euclid takes 2 or 3 arguments, got 1'], 'Euclidean arity diagnostic');
+    // Random choice and per-step probability
+    const randomSteps = parsePattern('1|5|7 1:3|5:1 5?30 c4? 2', { deferRandom: true });
+    assertEqual(randomSteps.map(stepToString), ['1|5|7', '1:3|5', '5?30', '60?50', '2'], 'Random steps stay unresolved when deferred');
+    assertEqual([0, 0.5, 0.99].map(r => resolveStep(randomSteps[0], () => r)), [1, 5, 7], 'Choice picks evenly');
+    assertEqual([0.7, 0.8].map(r => resolveStep(randomSteps[1], () => r)), [1, 5], 'Weighted choice');
+    assertEqual([0.29, 0.3].map(r => resolveStep(randomSteps[2], () => r)), [5, '-'], 'Chance step');
+    assertEqual(patternToString(parsePattern('offset10[1|2?20]', { deferRandom: true })), '11|12?20', 'Transformations reach inside random steps');
+    assertEqual([1, 5, 7].includes(parsePattern('1|5|7')[0]), true, 'Random steps are resolved by default');
+    assertEqual(astToString(parse('1:3|5:1?40')), '1:3|5?40', 'Re-serialise random steps');
+    // Cycle alternation
+    const alternating = parse('1 <60 63 [67 68]> <1 2>*2');
+    assertEqual([0, 1, 2, 3].map(cycle => parsePattern(alternating, { cycle })), [
+        [1, 60, 1, 1], [1, 63, 2, 2], [1, 67, 68, 1, 1], [1, 60, 2, 2]
+    ], 'Alternation picks a step per cycle');
+    assertEqual(astToString(parse('< 1 [2 3] >*2')), '<1 [2 3]>*2', 'Re-serialise alternation');
+    assertEqual(parsePattern('<1 2', { diagnostics: true }).diagnostics.map(d => d.fix), ['add ">" to close the alternation'], 'Unclosed alternation diagnostic');
+    // Multi-field events
+    const events = parsePattern('60:110:0.5 62:90 c4::2 -', { defaultVelocity: 64 });
+    assertEqual(events, [
+        { type: 'event', pitch: 60, velocity: 110, duration: 0.5 },
+        { type: 'event', pitch: 62, velocity: 90, duration: 1 },
+        { type: 'event', pitch: 60, velocity: 64, duration: 2 },
+        '-'
+    ], 'Events with omitted fields take defaults');
+    assertEqual(patternToString(parsePattern('offset12[60:110:0.5] invert50[60:80]')), '72:110:0.5 40:80:1', 'Transformations act on the pitch only');
+    assertEqual(parsePattern('1:3|5:1', { deferRandom: true })[0].type, 'choice', 'Colon next to "|" is still a weight');
+    assertEqual(astToString(parse('60:110 62::0.5')), '60:110 62::0.5', 'Re-serialise events');
+    const badFields = parsePattern('60:-1:-2 62:0:0', { diagnostics: true });
+    assertEqual([patternToString(badFields.events), badFields.diagnostics.map(d => [d.severity, d.message, d.start, d.end])], ['60:100:1 62:0:1', [
+        ['error', 'Velocity -1 is negative', 0, 8],
+        ['error', 'Duration -2 is not positive', 0, 8],
+        ['error', 'Duration 0 is not positive', 9, 15]
+    ]], 'Negative velocity and duration of 0 or less');
+    // Ties
+    assertEqual(parsePattern('60 _ _ -'), [{ type: 'event', pitch: 60, velocity: 100, duration: 3 }, '_', '_', '-'], 'Tie extends the note before it');
+    assertEqual(patternToString(parsePattern('60:80:0.5 _ [62 _]*2')), '60:80:1.5 _ 62:100:2 _ 62:100:2 _', 'Ties extend events and work inside groups');
+    assertEqual(parsePattern('_ 1 - _'), ['-', 1, '-', '-'], 'Ties without a note become rests');
+    assertEqual(patternToString(parsePattern('offset12[60 _]')), '72:100:2 _', 'Transformations skip tie placeholders');
+    assertEqual(astToString(parse('60 _*2 -')), '60 _*2 -', 'Re-serialise ties');
+    // Chords
+    assertEqual(parsePattern('[60,64,67] - [d4, f4, a4] -'), [[60, 64, 67], '-', [62, 65, 69], '-'], 'Chords are single steps');
+    assertEqual(parsePattern('offset12[[60,64]] invert60[[60,64]] quantize5[[61,64]]'), [[72, 76], [60, 56], [60, 65]], 'Transformations map over chord notes');
+    assertEqual(patternToString(parsePattern('[60,64]:90 _ [60,64]|[62,65]', { deferRandom: true })), '[60,64]:90:2 _ [60,64]|[62,65]', 'Chords in events, ties and choices');
+    assertEqual(parsePattern('[1 2, 3]', { diagnostics: true }).diagnostics.map(d => d.message), ['Chord notes must be single values'], 'Chord diagnostic');
+    assertEqual(astToString(parse('[c4, e4]*2')), '[c4,e4]*2', 'Re-serialise chords');
+    // Variables and pattern bank references
+    assertEqual(parsePattern('$fill = [1 - 2 3]*2 $fill - - $fill'), [1, '-', 2, 3, 1, '-', 2, 3, '-', '-', 1, '-', 2, 3, 1, '-', 2, 3], 'Named sub-patterns');
+    assertEqual(parsePattern('$n = [60 64] offset12 $n reverse $n'), [72, 76, 64, 60], 'Transformations apply to references');
+    assertEqual(parsePattern('$x 1', { diagnostics: true }).diagnostics.map(d => d.message), ['Undefined variable $x'], 'Undefined variable diagnostic');
+    assertEqual(parsePattern('$a = [$a 1] $a', { diagnostics: true, maxRecursionDepth: 2 }).diagnostics.map(d => d.message),
+        ['Maximum recursion depth (2) exceeded. Pattern may have circular references.'], 'Circular references hit the recursion guard');
+    assertEqual(parsePattern('@1 @3', { bank: ['1 2', '3\\ -'] }), [3, '-', 3, '-'], 'Pattern bank references wrap around');
+    const session = {};
+    parsePattern('$kick = [1 - - -]', { variables: session });
+    assertEqual(parsePattern('$kick*2', { variables: session }), [1, '-', '-', '-', 1, '-', '-', '-'], 'Definitions persist across a session');
+    assertEqual(astToString(parse('$f = [1 2]  reverse $f @12')), '$f = [1 2] reverse $f @12', 'Re-serialise variables');
+    // Seeded randomness
+    assertEqual(parsePattern('scramble[1 2 3 4 5 6] sparse50[1 2 3 4] 1|2|3', { seed: 42 }), [2, 1, 5, 6, 3, 4, 1, '-', 3, 4, 2], 'Seeded scramble, sparse and choices');
+    assertEqual(createRandomPattern({ seed: 7, length: 8 }), createRandomPattern({ seed: 7, length: 8 }), 'Seeded random patterns repeat');
+    const random = createRandom(1);
+    assertEqual([random(), random()].every(n => n >= 0 && n < 1), true, 'Seeded generator stays in [0, 1)');
+    // Transformation arguments
+    assertEqual(parsePattern('rotate(-2)[1 2 3 4] range(36,60)[1 5 9]'), [3, 4, 1, 2, 36, 48, 60], 'Parenthesised arguments');
+    assertEqual(parsePattern('sparse(30, seed=4)[1 2 3 4 5 6]'), parsePattern('sparse(seed=4, probability=30)[1 2 3 4 5 6]'), 'Named arguments in any order');
+    assertEqual(transformPattern('range(0,1)', [1, 2, 3]), [0, 0.5, 1], 'transformPattern accepts arguments');
+    assertEqual(parsePattern('rotate(1,2)[1 2] range(36)[1] sparse(sed=4)[1] rotate(0.5)[1]', { diagnostics: true }).diagnostics.map(d => [d.message, d.start, d.end]), [
+        ['rotate takes at most 1 argument, got 2', 9, 10],
+        ['range requires 2 arguments, got 1', 17, 29],
+        ['sparse has no parameter "sed"', 37, 42],
+        ['rotate parameter "steps" must be a whole number', 54, 57]
+    ], 'Argument diagnostics');
+    assertEqual(astToString(parse('sparse( 30,seed=4 ) reverse[1 2]')), 'sparse(30,seed=4) reverse[1 2]', 'Re-serialise arguments');
+    assertEqual(parsePattern('range(0,1)[[1 2]*200000]', { diagnostics: true }).events.slice(-2), [0, 1], 'Range over a long group');
+    // Custom transformations
+    registerTransform('double', (pattern, params) => pattern.flatMap(step => [step, params.gap ? '-' : step]), { params: [{ name: 'gap', default: 0, integer: true }] });
+    assertEqual(parsePattern('double[1 2] double(gap=1)[3]'), [1, 1, 2, 2, 3, '-'], 'Registered transformation with parameters');
+    const stutter = require('./stutter.js').stutter;
+    registerTransform('stutter', stutter.transform, { params: stutter.params, length: stutter.length });
+    assertEqual(parsePattern('offset1 stutter(3)[1 2]'), [2, 2, 2, 3, 3, 3], 'Transformation module');
+    registerTransform('broken', () => { throw new Error('oops'); });
+    assertEqual(parsePattern('broken[1] stuter[1] double(2, 3)[1]', { diagnostics: true }).diagnostics.map(d => d.message),
+        ['Transformation broken failed: oops', 'Unknown transformation: stuter', 'double takes at most 1 argument, got 2'], 'Custom transformation diagnostics');
+    let rejected = null;
+    try { registerTransform('reverse', pattern => pattern); } catch (e) { rejected = e.message; }
+    assertEqual(rejected, 'Cannot replace the built-in transformation: reverse', 'Built-in transformations cannot be replaced');
+    // Compact re-serialisation
+    assertEqual(compressPattern(parsePattern('[1 2 3]*16')), '[1 2 3]*16', 'Repeated groups');
+    assertEqual(compressPattern(parsePattern('- - -*3 - 5 - - - 6*7 7 - - 8*3 -')), '-*6 5 -*3 6*7 7 - - 8*3 -', 'Runs of values and rests');
+    assertEqual(compressPattern(parsePattern('[[1 2]*3 4]*40')), '[[1 2]*3 4]*40', 'Nested repeats');
+    for (const source of ['1*1000 [1 2]*300 3', '60:100:2 _ [60,64]*3 1|2|3*2 5?30 -3 0.5', '60 _ _ 1|2 _ 4?50 _ -', 'scramble(seed=3)[1 - 2 - 3 3 3 -]*5']) {
+        const pattern = parsePattern(source, { deferRandom: true });
+        assertEqual(parsePattern(compressPattern(pattern), { deferRandom: true }), pattern, `Round trip of ${source}`);
+    }
+    assertEqual(compressPattern([60, 60, 62], { noteNames: true }), 'c4*2 d4', 'Compact note names');
+    assertEqual(parsePattern(compressPattern([1e-7, 1e21, -2.5e-9])), [1e-7, 1e21, -2.5e-9], 'Round trip of numbers String() writes with exponents');
+    // Formatting
+    assertEqual(formatPattern('[ 1 2 3 ]*3  - *3 0 scramble [1 - 2]'), '[1 2 3]*3 -*3 0 scramble[1 - 2]', 'Canonical spacing');
+    assertEqual(formatPattern('e3,8[36] sparse( 30 , seed = 4 )[1]'), 'euclid(3,8)[36] sparse(30,seed=4)[1]', 'Canonical notation');
+    assertEqual(formatPattern('set [1 2]', []), 'set [1 2]', 'Unknown transformations are left alone');
+    assertEqual(parsePattern('1e-05 60c4', { diagnostics: true }).diagnostics.map(d => [d.message, d.start, d.end, d.fix]), [
+        ['Numbers in exponent notation are not supported: 1e-05', 0, 5, 'write it as 0.00001'],
+        ['Transformation "c4" must be followed by a group', 8, 10, 'wrap the values in brackets, e.g. c4[1 2 3]']
+    ], 'Note names are not read glued to a number');
+    assertEqual(formatPatch('#X msg 10 10 1e-05;\n#X msg 10 40 0.5 1e+06;\n').changes, 0, 'Pd float messages are left alone');
+    const patch = '#X msg 10 10 list [ 1 2 ]*2;\n#X msg 10 40 scale2 [1\n2];\n#X msg 10 70 open foo.wav;\n#X msg 10 90 0, f 2;\n';
+    assertEqual(formatPatch(patch), {
+        text: '#X msg 10 10 list [1 2]*2;\n#X msg 10 40 scale2[1 2];\n#X msg 10 70 open foo.wav;\n#X msg 10 90 0, f 2;\n',
+        changes: 2
+    }, 'Format message boxes in a patch');
+    // Lazy evaluation
+    const stream = streamPattern('1*1000000 mirror[1 2 3] <[1 2] 3> $a = [1 2] $a*3');
+    assertEqual(stream.length, 1000013, 'Stream length is known up front');
+    assertEqual([stream.steps.next().value, stream.steps.next().value], [1, 1], 'Streamed steps');
+    const lazySource = 'scramble[1 2 3 4]*3 60 _ - _ 1|2 <5 6>';
+    assertEqual([...streamPattern(lazySource, { seed: 3, cycle: 1 }).steps], parsePattern(lazySource, { seed: 3, cycle: 1 }), 'Streaming matches parsePattern');
+    assertEqual(countSteps(parse('repeat2[1 2] interleave[1] e3,8 <1 [2 3]>'), { cycle: 1 }), 4 + 2 + 8 + 2, 'Count steps without expanding');
+    assertEqual(parsePattern('[1 2]*200000').length, 400000, 'Large expansions do not overflow the stack');
+    const passes = size => {
+        const steps = parsePattern(`[scramble[1 2 3 4 5 6 7 8] 0*${size}]*2`, { seed: 7 });
+        return JSON.stringify(steps.slice(0, 8)) === JSON.stringify(steps.slice(size + 8, size + 16));
+    };
+    assertEqual([passes(10), passes(70000)], [true, true], 'Repeated passes are the same whatever the size of the group');
+    assertEqual(streamPattern('['.repeat(20000), { diagnostics: true }).diagnostics.map(d => d.message), ['Error parsing pattern: Maximum call stack size exceeded'], 'Streaming reports patterns nested too deeply to parse');
+    assertEqual(streamPattern('1 double[1 2]').length, null, 'Stream length of a transformation without a length hook is unknown');
+    assertEqual(streamPattern('1 stutter(3, chance=50)[1 2]').length, 7, 'Stream length of a random transformation is its most steps');
+    const humanize = require('./stutter.js').humanize;
+    registerTransform('humanize', humanize.transform, { params: humanize.params, length: humanize.length });
+    assertEqual(streamPattern('humanize(2)[1 2 3]*2 4').length, 7, 'Length hook of a registered transformation');
+    // Expansion budgets
+    assertEqual(parsePattern('1 2 [[1 2]*999]*999 3', { diagnostics: true, maxSteps: 100000 }), { events: [], diagnostics: [{
+        severity: 'error', message: 'Pattern expands to 1996005 steps, more than the limit of 100000', start: 4, end: 19, fix: 'use fewer or smaller repeats, or raise maxSteps'
+    }] }, 'Step budget is checked before expanding');
+    assertEqual(parsePattern('$a = [1 2]*3 $a $a', { maxSteps: 12 }), [1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2], 'Pattern within the step budget');
+    const stuttered = parsePattern('double[[1 2]*3000000]', { diagnostics: true, maxSteps: 100000 });
+    assertEqual(stuttered.diagnostics.map(d => d.message), ['Pattern expands to 6000000 steps, more than the limit of 100000'], 'Registered transformations are not run to count steps');
+    assertEqual(parsePattern('1 '.repeat(200000), { diagnostics: true, maxSteps: 100 }).diagnostics.map(d => [d.message, d.start, d.end]),
+        [['Pattern expands to 200000 steps, more than the limit of 100', 0, 1]], 'Step budget of a long flat pattern');
+    const stutterBudget = { diagnostics: true, maxSteps: 100000, timeLimit: 50 };
+    assertEqual(parsePattern('stutter(2000000)[1 2 3]', stutterBudget).diagnostics.map(d => [d.message, d.start, d.end]),
+        [['Pattern expands to 6000000 steps, more than the limit of 100000', 0, 23]], 'Step budget uses the length hook of stutter.js');
+    assertEqual(parsePattern('double[[1 2 3]*20000]', stutterBudget).diagnostics.map(d => [d.message, d.start, d.end]),
+        [['Pattern expands to 120000 steps, more than the limit of 100000', 0, 21]], 'Step budget is checked after a transformation without a length hook');
+    const slow = parsePattern('[[1 2 3 4 5 6 7 8 9]*999]*999', { diagnostics: true, timeLimit: 5 });
+    assertEqual([slow.events.length, slow.diagnostics.map(d => d.message)], [0, ['Pattern took longer than the time limit of 5 ms to expand']], 'Time budget');
+    // Scales
+    assertEqual(parsePattern('inkey(c,minor)[60 61 62 63 64 65 66 67 68 69 70 71 72]'), [60, 60, 62, 63, 63, 65, 65, 67, 68, 68, 70, 70, 72], 'Snap to a key');
+    assertEqual(parsePattern('inkey(f#)[60 65 67] inkey(0,pentatonic)[66 [61,64] 61:90]'), [59, 65, 66, 67, [60, 64], { type: 'event', pitch: 60, velocity: 90, duration: 1 }], 'Sharp keys, ties go down, chords and events');
+    assertEqual(parsePattern('degrees(dorian,48)[0 2 4 7 -1 14]'), [48, 51, 55, 60, 46, 72], 'Scale degrees');
+    registerScale('hirajoshi', [0, 2, 3, 7, 8]);
+    assertEqual(parsePattern('degrees(hirajoshi)[0 1 2 3 4 5]'), [60, 62, 63, 67, 68, 72], 'User-defined scale');
+    assertEqual(parsePattern('degrees(minr)[1] inkey(h)[1]', { diagnostics: true }).diagnostics.map(d => [d.message, d.fix]), [
+        ['Unknown scale: minr', 'did you mean "minor"?'],
+        ['inkey parameter "root" must be a note name such as c or f#', 'write inkey(root, scale)']
+    ], 'Scale diagnostics');
+    // Subdivision
+    const timed = (pattern, options) => parsePattern(pattern, { subdivide: true, ...options }).map(e => [e.onset, e.duration, e.value]);
+    assertEqual(timed('1 [2 [3 4]] -'), [[0, 1, 1], [1, 0.5, 2], [1.5, 0.25, 3], [1.75, 0.25, 4], [2, 1, '-']], 'Groups share one step');
+    assertEqual(timed('[60 _] 62 _ [_ 64]'), [[0, 1, 60], [1, 2.5, 62], [3.5, 0.5, 64]], 'Ties lengthen timed events');
+    assertEqual(timed('reverse offset1 [1 2] [3 4]*2'), [[0, 0.5, 3], [0.5, 0.5, 2], [1, 0.5, 3], [1.5, 0.5, 4], [2, 0.5, 3], [2.5, 0.5, 4]], 'Transformations and repeats of subdivided groups');
+    assertEqual(timed('e2,4[[1 2]]'), [[0, 0.5, 1], [0.5, 0.5, 2], [1, 1, '-'], [2, 0.5, 1], [2.5, 0.5, 2], [3, 1, '-']], 'Subdivided euclid payload');
+    assertEqual(parsePattern('1 [2 3]'), [1, 2, 3], 'Groups are spliced without subdivide');
+    // Ranges
+    assertEqual(parsePattern('1..4 60..57 0..127:32'), [1, 2, 3, 4, 60, 59, 58, 57, 0, 32, 64, 96], 'Ascending, descending and stepped ranges');
+    assertEqual(parsePattern('reverse[1..3 5] 0..1:0.25*2'), [5, 3, 2, 1, 0, 0.25, 0.5, 0.75, 1, 0, 0.25, 0.5, 0.75, 1], 'Ranges in groups, under transforms and repeated');
+    assertEqual(formatPattern('offset2 [ 1..8:2 ]'), 'offset2[1..8:2]', 'Format ranges');
+    assertEqual(parsePattern('1..4:0', { diagnostics: true }).diagnostics.map(d => [d.message, d.start, d.end]), [['Range step must be greater than 0', 0, 6]], 'Zero range step');
+    // Generators
+    assertEqual(parsePattern('sine(0,2,4) saw(0,1,4)'), [1, 2, 1, 0, 0, 0.25, 0.5, 0.75], 'Sine and saw generators');
+    assertEqual(parsePattern('drunk(60,3,16,seed=2)'), parsePattern('drunk(60,3,16)', { seed: 9, random: createRandom(2) }), 'Seeded random walk');
+    const walk = parsePattern('drunk(60,3,16)', { seed: 5 });
+    assertEqual(walk[0] === 60 && walk.every((value, i) => Number.isInteger(value) && (!i || Math.abs(value - walk[i - 1]) <= 3)), true, 'Random walk moves by whole steps');
+    assertEqual(parsePattern('noise(0,100,32)', { seed: 5 }).every(value => Number.isInteger(value) && value >= 0 && value <= 100), true, 'Noise stays in range');
+    assertEqual(parsePattern('quantize1 sine(0,127,4) offset12 [saw(0,12,2)]*2'), [64, 127, 64, 0, 12, 18, 12, 18], 'Transformed generators');
+    assertEqual(parsePattern('sine(0,1) noise(0,1,0)', { diagnostics: true }).diagnostics.map(d => d.message), [
+        'sine requires 3 arguments, got 2',
+        'noise parameter "steps" must be at least 1'
+    ], 'Generator diagnostics');
+    // Comments and multi-line sources
+    const song = '// verse\n$v = [60 62] # lead\n$v*2 \\\n  inkey(f#)[61 c#4]  // end';
+    assertEqual(parsePattern(song, { diagnostics: true }), { events: [60, 62, 60, 62, 61, 61], diagnostics: [] }, 'Comments and line continuations');
+    assertEqual(tokenize(song).comments.map(c => c.value), ['// verse', '# lead', '// end'], 'Comments are listed with the tokens');
+    assertEqual(formatPattern(song), song, 'Patterns with comments are not formatted');
+    assertEqual(formatPattern('1 2 \\\n[3  4]'), '1 2 [3 4]', 'Line continuations are formatted away');
+    // Bars
+    const barred = parsePattern('1 2 3 4 | 5 6 7 | 1|2 8 [9 10]', { diagnostics: true });
+    assertEqual(barred.events.bars, [0, 0, 0, 0, 1, 1, 1, 2, 2, 2, 2], 'Bar numbers of steps');
+    assertEqual(barred.diagnostics.map(d => [d.severity, d.message, d.start, d.end]), [['warning', 'Bar 2 has 3 steps, expected 4', 10, 15]], 'Bars as long as the first');
+    assertEqual(parsePattern('meter(3/8,8) 1*7', { diagnostics: true }).diagnostics.map(d => [d.message, d.fix]), [['Bar 3 has 1 step, expected 3', 'bars of meter(3/8,8) have 3 steps']], 'Meter without bar lines');
+    assertEqual(parsePattern('meter(3/4) 1*12 | 2*11', { diagnostics: true }).diagnostics.map(d => d.message), ['Bar 2 has 11 steps, expected 12'], 'Meter in sixteenth steps');
+    assertEqual(parsePattern('[1 2] 3 | 4 5', { subdivide: true }).bars, [0, 0, 0, 1, 1], 'Bar numbers of timed events');
+    assertEqual(parsePattern('[1 | 2] meter(7/8,4) [meter(4/4)]', { diagnostics: true }).diagnostics.map(d => d.message), [
+        'Alternatives must be written without spaces',
+        'A bar of 7/8 is not a whole number of 1/4 steps',
+        'meter must be at the top level'
+    ], 'Bar and meter diagnostics');
+    assertEqual(formatPattern('meter(7/8,8)  1*7 |[2 3]'), 'meter(7/8,8) 1*7 | [2 3]', 'Format bars and meters');
+    const euclidTargets = 'reverse e3,8[36] rotate1 euclid(3,8,2)[36 38] reverse e5,8';
+    assertEqual([formatPattern(euclidTargets), parsePattern(formatPattern(euclidTargets))],
+        ['reverse euclid(3,8)[36] rotate1 euclid(3,8,2)[36 38] reverse euclid(5,8)', parsePattern(euclidTargets)], 'Formatted Euclidean targets parse to the same steps');
+    // Diagnostics
+    assertEqual(parsePattern('1 2', { diagnostics: true }), { events: [1, 2], diagnostics: [] }, 'Clean pattern has no diagnostics');
+    const unbalanced = parsePattern('1 [2 3', { diagnostics: true });
+    assertEqual(unbalanced.events, [1, 2, 3], 'Unbalanced group still evaluates');
+    assertEqual(unbalanced.diagnostics.map(d => [d.severity, d.start, d.end, d.fix]), [['error', 2, 3, 'add "]" to close the group']], 'Unclosed bracket diagnostic');
+    const typo = parsePattern('scrambel[1 2] 3*0', { diagnostics: true });
+    assertEqual(typo.events, [1, 2, 3], 'Invalid parts are skipped');
+    assertEqual(typo.diagnostics.map(d => [d.message, d.start, d.end, d.fix]), [
+        ['Invalid repeat count', 15, 17, 'use a positive whole number after "*", e.g. *2'],
+        ['Unknown transformation: scrambel', 0, 13, 'did you mean "scramble"?']
+    ], 'Repeat count and unknown transformation diagnostics');
+    // mseq2.js output
+    const mseq2 = loadPdjs('mseq2.js');
+    mseq2.pattern('[60,64,67]', '60:64:67');
+    mseq2.bang();
+    mseq2.bang();
+    assertEqual(mseq2.output, [[0, ['chord', 60, 64, 67]], [0, [60, 64, 67]]], 'mseq2 sends chords after "chord" and events as lists');
+    mseq2.output.length = 0;
+    mseq2.stream('stutter(3,', 'chance=50)[60', '62]');
+    for (let i = 0; i < 20; i++) mseq2.bang();
+    assertEqual(mseq2.output.filter(([n]) => n === 0).length, 20, 'mseq2 streams every step of random transformations');
+    mseq2.output.length = 0;
+    mseq2.subdivide('60', '[62', '[60,64]]');
+    mseq2.steptime(100);
+    mseq2.bang();
+    mseq2.bang();
+    mseq2.substep(0);
+    mseq2.substep(0);
+    assertEqual(mseq2.output, [[0, 60], [0, 62], [1, [0, 50]], [0, ['chord', 60, 64]]], 'mseq2 plays sub-steps when a [pipe] sends their number back');
+    mseq2.output.length = 0;
+    mseq2.stream('<[]', '1>');
+    for (let i = 0; i < 3; i++) mseq2.bang();
+    mseq2.stream('['.repeat(20000) + '1');
+    mseq2.bang();
+    assertEqual(mseq2.output, [[0, 1], [0, 1], [0, 1], ['post', 'mseq2: Error parsing pattern: Maximum call stack size exceeded']], 'mseq2 streams past empty cycles and reports patterns it cannot parse');
+    const seeded = () => {
+        const player = loadPdjs('mseq2.js');
+        player.seed(4);
+        player.inlet = 1;
+        player.list('1|5|7', '5?30', 60);
+        player.inlet = 0;
+        for (let i = 0; i < 12; i++) player.bang();
+        player.pattern('scramble[1', '2', '3', '4', '5', '6]');
+        for (let i = 0; i < 12; i++) player.bang();
+        return player.output;
+    };
+    assertEqual(seeded(), seeded(), 'mseq2 re-rolls and expands patterns from its seed');
+    // mixtape.js behind mixtape.pd's "0 -" prefix
+    const mixtape = loadPdjs('mixtape.js');
+    mixtape.list(0, '-', 1, '[2', '3]*2');
+    assertEqual(mixtape.output, [[0, [0, '-', 1, 2, 3, 2, 3]]], 'mixtape keeps the prefix on its output');
+    mixtape.output.length = 0;
+    mixtape.list(0, '-', 1, '[2', 3);
+    assertEqual(mixtape.output[0], [1, ['error', 2, 3, 'Unbalanced brackets in pattern: "[" is never closed', 'add "]" to close the group']], 'mixtape diagnostics point at the pattern');
+    mixtape.output.length = 0;
+    mixtape.list(0, '-', ']');
+    mixtape.list(0, '-', '[1', '2]*999999');
+    assertEqual(mixtape.output.map(([n, message]) => [n, message[3]]), [
+        [1, 'Unbalanced brackets in pattern: unexpected "]"'],
+        [1, 'Pattern expands to 1999998 steps, more than the limit of 100000']
+    ], 'mixtape sends nothing for rejected patterns');
+    mixtape.output.length = 0;
+    mixtape.list(0, '-', 1, 2, '|', 3, 4);
+    mixtape.list(0, '-', 'meter(4/4)', '1*16');
+    mixtape.list(0, '-', 1, 2, '|', 3);
+    assertEqual(mixtape.output.map(([n, message]) => n === 0 ? message.length : message), [
+        7, 6, 19, 18, ['warning', 6, 7, 'Bar 2 has 1 step, expected 2', 'make every bar as long as the first'], 6, 5
+    ], 'mixtape checks bars without the prefix');
+    // mixtape.pd splits off the prefix and mseq2 takes the lists in its right inlet
+    mixtape.output.length = 0;
+    mixtape.list(0, '-', 1, 2, '|', 3, '[4]');
+    const barPlayer = loadPdjs('mseq2.js');
+    barPlayer.inlet = 1;
+    mixtape.output.filter(([n]) => n === 0).forEach(([, message]) => barPlayer.list(...message.slice(2)));
+    barPlayer.inlet = 0;
+    for (let i = 0; i < 8; i++) barPlayer.bang();
+    assertEqual(barPlayer.output.filter(([n]) => n === 2), [[2, 0], [2, 1], [2, 0], [2, 1]], 'mseq2 reports the downbeats of patterns from mixtape');
+    mixtape.output.length = 0;
+    mixtape.list(0, '-', 1, '<60', '63>');
+    assertEqual(mixtape.output, [
+        [1, ['warning', 2, 3, 'Alternations always play their first choice from mixtape', 'send "pattern ..." to mseq2 to alternate every cycle']],
+        [0, [0, '-', 1, 60]]
+    ], 'mixtape warns that alternations do not alternate');
+    mixtape.output.length = 0;
+    // mixtape.pd reads "read song.mix" into a [text] and sends it line by line
+    mixtape.list(0, '-', 'readline', 1, 2, 3, 4, '//', 'verse');
+    mixtape.list(0, '-', 'readline', 5, 6);
+    mixtape.list(0, '-', 'readend');
+    assertEqual(mixtape.output, [[0, [0, '-', 1, 2, 3, 4, 5, 6]]], 'mixtape plays the lines of a pattern file behind the prefix');
 }
 
 // Run the tests